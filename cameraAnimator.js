@@ -0,0 +1,122 @@
+// cameraAnimator.js
+// Camera flights for an OrbitControls camera. The camera follows a curve that bends
+// away from a keep-out sphere (the galaxy core) while the orbit target eases in a
+// straight line. Flights can be given in the local space of a moving object, so they
+// land on a point that is still moving. Needs three.js loaded first.
+var CameraAnimator = (function () {
+    // Easing curves over t in [0, 1].
+    const easings = {
+        linear: t => t,
+        easeInOutQuad: t => t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t,
+        easeInOutCubic: t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+        easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+        easeInOutSine: t => -(Math.cos(Math.PI * t) - 1) / 2,
+        easeOutExpo: t => t === 1 ? 1 : 1 - Math.pow(2, -10 * t)
+    };
+
+    // Quadratic Bézier from `from` to `to` whose midpoint is lifted by `arc` (a share of
+    // the flight length) and kept at least avoidRadius from avoidCenter.
+    function buildPath(from, to, avoidCenter, avoidRadius, arc) {
+        const mid = from.clone().add(to).multiplyScalar(0.5);
+        const length = from.distanceTo(to);
+        mid.y += length * arc;
+
+        const away = mid.clone().sub(avoidCenter);
+        if (away.length() < avoidRadius) {
+            if (away.lengthSq() < 1e-8) away.set(0, 1, 0);
+            mid.copy(avoidCenter).add(away.setLength(avoidRadius));
+        }
+        // A quadratic Bézier passes through (p0 + 2c + p2) / 4 at t = 0.5; solve for c.
+        const control = mid.multiplyScalar(2).sub(from.clone().add(to).multiplyScalar(0.5));
+        return new THREE.QuadraticBezierCurve3(from.clone(), control, to.clone());
+    }
+
+    // options.avoidCenter / avoidRadius describe the keep-out sphere; options.arc (default
+    // 0.15) is how far every flight bows upward; options.onCut is called whenever a flight
+    // jumps straight to its destination (see setInstant). Call update() once per frame.
+    function create(camera, controls, options = {}) {
+        const avoidCenter = options.avoidCenter || new THREE.Vector3();
+        let avoidRadius = options.avoidRadius || 0;
+        const arc = options.arc === undefined ? 0.15 : options.arc;
+        const queue = [];
+        let current = null;
+        let instant = false;
+
+        function begin(flight) {
+            const fromPos = camera.position.clone();
+            const fromTarget = controls.target.clone();
+            if (flight.space) {
+                flight.space.updateMatrixWorld();
+                flight.space.worldToLocal(fromPos);
+                flight.space.worldToLocal(fromTarget);
+            }
+            flight.start = performance.now();
+            flight.path = buildPath(fromPos, flight.toPos, avoidCenter, avoidRadius, flight.arc);
+            flight.fromTarget = fromTarget;
+            current = flight;
+            if (flight.duration === 0 && options.onCut && fromPos.distanceTo(flight.toPos) > 1e-3) options.onCut();
+        }
+
+        function finish(arrived) {
+            const flight = current;
+            current = null;
+            flight.resolve(arrived);
+        }
+
+        // Resolves true on arrival or false if the flight was cancelled first.
+        // flyOptions: duration (ms), easing (name or function), arc, queue (wait for the
+        // flights already scheduled instead of cancelling them), space (an Object3D whose
+        // local coordinates toPos and toTarget are in; keep its matrixWorld current).
+        function flyTo(toPos, toTarget = null, flyOptions = {}) {
+            if (!flyOptions.queue) cancel();
+            return new Promise(resolve => {
+                const easing = typeof flyOptions.easing === 'function' ? flyOptions.easing : easings[flyOptions.easing || 'easeInOutQuad'];
+                const flight = {
+                    toPos: toPos.clone(),
+                    toTarget: toTarget ? toTarget.clone() : null,
+                    duration: instant ? 0 : (flyOptions.duration === undefined ? 1000 : flyOptions.duration),
+                    easing: easing || easings.easeInOutQuad,
+                    arc: flyOptions.arc === undefined ? arc : flyOptions.arc,
+                    space: flyOptions.space || null,
+                    resolve
+                };
+                if (current) queue.push(flight);
+                else begin(flight);
+            });
+        }
+
+        // Stops where the camera is now and drops anything queued.
+        function cancel() {
+            queue.splice(0).forEach(flight => flight.resolve(false));
+            if (current) finish(false);
+        }
+
+        function update(now = performance.now()) {
+            if (!current) return;
+            const flight = current;
+            const t = flight.duration > 0 ? Math.min(1, (now - flight.start) / flight.duration) : 1;
+            const e = flight.easing(t);
+            flight.path.getPoint(e, camera.position);
+            if (flight.space) flight.space.localToWorld(camera.position);
+            if (flight.toTarget) {
+                controls.target.lerpVectors(flight.fromTarget, flight.toTarget, e);
+                if (flight.space) flight.space.localToWorld(controls.target);
+            }
+            if (t < 1) return;
+            finish(true);
+            if (queue.length) begin(queue.shift());
+        }
+
+        return {
+            flyTo,
+            cancel,
+            update,
+            setAvoidRadius(radius) { avoidRadius = radius; },
+            // Instant mode (reduced motion) turns every flight into a cut.
+            setInstant(on) { instant = on; },
+            get active() { return current !== null; }
+        };
+    }
+
+    return { create, easings };
+})();
@@ -0,0 +1,69 @@
+// contactTransports.js
+// Ways to deliver a contact-form message. A transport is { name, send(message) }: send
+// takes { name, email, message }, resolves once the message is on its way and rejects
+// with an Error whose message can be shown to the visitor.
+var ContactTransports = (function () {
+    // POSTs the message as JSON to url (a form service, a serverless function, ...).
+    // Any 2xx response counts as sent. options.timeout is in ms (default 15000).
+    function endpoint(url, options = {}) {
+        const timeout = options.timeout || 15000;
+        return {
+            name: 'endpoint',
+            send(message) {
+                const abort = window.AbortController ? new AbortController() : null;
+                const timer = abort ? setTimeout(() => abort.abort(), timeout) : null;
+                return fetch(url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+                    body: JSON.stringify(message),
+                    signal: abort ? abort.signal : undefined
+                })
+                    .catch(() => {
+                        throw new Error('The message server could not be reached.');
+                    })
+                    .then(res => {
+                        if (!res.ok) throw new Error('The message server turned the message down (HTTP ' + res.status + ').');
+                    })
+                    .finally(() => clearTimeout(timer));
+            }
+        };
+    }
+
+    // Hands the message to the visitor's mail app. There is no way to tell whether it
+    // was actually sent, so this resolves as soon as the app has been asked to open.
+    function mailto(address) {
+        return {
+            name: 'mailto',
+            send(message) {
+                const subject = 'Message from ' + message.name;
+                const body = message.message + '\n\n— ' + message.name + ' <' + message.email + '>';
+                window.location.href = 'mailto:' + address + '?subject=' + encodeURIComponent(subject) + '&body=' + encodeURIComponent(body);
+                return Promise.resolve();
+            }
+        };
+    }
+
+    // In-page stand-in for a server, for trying the form out without sending anything.
+    // options.fail makes every send fail; options.delay is the fake round trip in ms.
+    // Accepted messages are kept in `sent`.
+    function mock(options = {}) {
+        const sent = [];
+        const delay = options.delay === undefined ? 600 : options.delay;
+        return {
+            name: 'mock',
+            sent,
+            send(message) {
+                return new Promise((resolve, reject) => setTimeout(() => {
+                    if (options.fail) {
+                        reject(new Error('The mock server rejected the message.'));
+                        return;
+                    }
+                    sent.push(Object.assign({ receivedAt: new Date().toISOString() }, message));
+                    resolve();
+                }, delay));
+            }
+        };
+    }
+
+    return { endpoint, mailto, mock };
+})();
@@ -0,0 +1,116 @@
+// fallbackPortfolio.js
+// The portfolio without the galaxy, for browsers where three.js or WebGL is missing or
+// the graphics context keeps failing: the projects from projects.json as plain cards
+// that work with a keyboard and a screen reader. render(container, projects) draws the
+// projects ProjectManifest.load() returns, so both views show the same ones. Needs
+// markdown.js for the write-ups.
+var FallbackPortfolio = (function () {
+    function formatDate(str) {
+        const parts = str.split('-').map(Number);
+        return new Date(parts[0], parts[1] - 1, parts[2] || 1).toLocaleDateString(undefined, { year: 'numeric', month: 'short' });
+    }
+
+    // "Mar 2022 – Aug 2023", or "Mar 2022 – now" for ongoing work.
+    function formatDates(dates) {
+        if (!dates) return '';
+        const end = dates.end ? formatDate(dates.end) : 'now';
+        return formatDate(dates.start) + ' – ' + end;
+    }
+
+    function element(tag, className, content) {
+        const el = document.createElement(tag);
+        if (className) el.className = className;
+        if (content) el.textContent = content;
+        return el;
+    }
+
+    // A <dl> of role, stack and collaborators; the language names stand in for a stack.
+    function renderCredits(project) {
+        const rows = [];
+        if (project.role) rows.push(['Role', project.role]);
+        const stack = project.stack.length ? project.stack : Object.keys(project.metrics.languages);
+        if (stack.length) rows.push(['Stack', stack.join(', ')]);
+        if (project.collaborators.length) rows.push(['With', project.collaborators.map(c => c.name + (c.role ? ' (' + c.role + ')' : '')).join(', ')]);
+        if (!rows.length) return null;
+
+        const list = element('dl', 'fallback-project-credits');
+        rows.forEach(row => {
+            list.appendChild(element('dt', '', row[0]));
+            list.appendChild(element('dd', '', row[1]));
+        });
+        return list;
+    }
+
+    function renderMedia(project) {
+        if (!project.media.length) return null;
+        const gallery = element('div', 'fallback-project-media');
+        project.media.forEach(item => {
+            const figure = document.createElement('figure');
+            let el;
+            if (item.type === 'video') {
+                el = document.createElement('video');
+                el.controls = true;
+                el.preload = 'metadata';
+                if (item.poster) el.poster = item.poster;
+                if (item.alt) el.setAttribute('aria-label', item.alt);
+            } else {
+                el = document.createElement('img');
+                el.loading = 'lazy';
+                el.alt = item.alt || item.caption;
+            }
+            el.src = item.src;
+            figure.appendChild(el);
+            if (item.caption) figure.appendChild(element('figcaption', '', item.caption));
+            gallery.appendChild(figure);
+        });
+        return gallery;
+    }
+
+    function renderCard(project) {
+        const card = element('article', 'fallback-project');
+        const titleId = 'fallback-project-' + project.id;
+        card.setAttribute('aria-labelledby', titleId);
+
+        const title = element('h3', '', project.title);
+        title.id = titleId;
+        card.appendChild(title);
+        if (project.subtitle) card.appendChild(element('p', 'fallback-project-sub', project.subtitle));
+        const dates = formatDates(project.dates);
+        if (dates) card.appendChild(element('p', 'fallback-project-dates', dates));
+
+        if (project.tags.length) {
+            const list = element('ul', 'fallback-project-tags');
+            list.setAttribute('aria-label', 'Tags');
+            project.tags.forEach(tag => list.appendChild(element('li', '', tag)));
+            card.appendChild(list);
+        }
+
+        const body = element('div', 'fallback-project-body markdown');
+        body.appendChild(Markdown.render(project.details || project.description, { topHeading: 4 }));
+        card.appendChild(body);
+        [renderCredits(project), renderMedia(project)].forEach(el => {
+            if (el) card.appendChild(el);
+        });
+
+        if (project.url) {
+            const link = element('a', 'fallback-project-link', 'View project');
+            link.href = project.url;
+            link.target = '_blank';
+            link.rel = 'noopener';
+            link.setAttribute('aria-label', 'View project: ' + project.title);
+            card.appendChild(link);
+        }
+        return card;
+    }
+
+    function render(container, projects) {
+        container.innerHTML = '';
+        if (!projects.length) {
+            container.appendChild(element('p', 'fallback-empty', 'No projects to show yet.'));
+            return;
+        }
+        projects.forEach(project => container.appendChild(renderCard(project)));
+    }
+
+    return { render };
+})();
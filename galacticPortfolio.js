@@ -0,0 +1,3098 @@
+// galacticPortfolio.js
+// The galaxy view as a component. GalacticPortfolio.mount(container, config) draws it into
+// container, sized to fit, and returns an instance to drive it and take it down again
+// (see the end of mount()). The page UI (HUD, project panel, tour bar, editor, ...) is
+// looked up by id inside container, so an embed that leaves that markup out gets just
+// the galaxy. Needs three.js, OrbitControls and the modules index.html loads before it;
+// mount() throws if three.js is missing or WebGL can't start, so the caller can show
+// something else.
+var GalacticPortfolio = (function () {
+    const THREE = window.THREE;
+    const OrbitControls = THREE ? THREE.OrbitControls : null;
+
+    // config (all optional):
+    //   projectsUrl, galaxyConfigUrl: data files (default projects.json, galaxy.config.json)
+    //   workerBase: path prefix for galaxyWorker.js and spatialIndexWorker.js
+    //   parameters: galaxy parameters applied over galaxy.config.json, e.g. { seed }
+    //   quality: 'low', 'medium' or 'high' pins a quality tier; otherwise it adapts
+    //   routing: mirror the selection in location.hash (default: when mounted on document.body)
+    //   tour: start the guided tour once everything has loaded, skipping the intro
+    //   dev: open the galaxy editor; debug: show the FPS readout
+    //   effects: false turns post-processing (bloom, focus pull, ...) off; the low tier never uses it
+    function mount(container, config = {}) {
+        if (!THREE || !OrbitControls) throw new Error('three.js did not load');
+
+        // --- Mount ---
+        // On document.body the galaxy fills the window and owns the page: it takes keys
+        // window-wide and keeps the selection in the URL. Anywhere else it fills its
+        // container and keys only reach it while its canvas has focus.
+        const fullWindow = container === document.body;
+        const routing = config.routing === undefined ? fullWindow : !!config.routing;
+        const workerBase = config.workerBase || '';
+        const styleRoot = fullWindow ? document.documentElement : container; // theme variables and the reduced-motion class
+        let destroyed = false;
+
+        // Everything destroy() has to undo: listeners, observers, workers and timers.
+        const cleanups = [];
+
+        function listen(target, type, handler, options) {
+            target.addEventListener(type, handler, options);
+            cleanups.push(() => target.removeEventListener(type, handler, options));
+        }
+
+        function byId(id) {
+            return container.querySelector('#' + id);
+        }
+
+        // Instance events: ready, progress, select, deselect, hover, failed. A throwing handler is
+        // reported but doesn't break the galaxy.
+        const eventHandlers = {};
+
+        function emit(type, detail) {
+            (eventHandlers[type] || []).slice().forEach(handler => {
+                try {
+                    handler(detail);
+                } catch (err) {
+                    console.error(err);
+                }
+            });
+        }
+
+        // --- Quality tiers ---
+        // config.quality pins a tier; auto (the default) steps between them based on
+        // measured frame time. particleFraction/starFraction are the share of particles drawn.
+        const QUALITY_TIERS = {
+            low: { particleFraction: 0.35, starFraction: 0.3, pixelRatio: 1, antialias: false, autoRotate: false, effects: false },
+            medium: { particleFraction: 0.7, starFraction: 0.6, pixelRatio: 1.5, antialias: false, autoRotate: true, effects: true },
+            high: { particleFraction: 1, starFraction: 1, pixelRatio: 2, antialias: true, autoRotate: true, effects: true }
+        };
+        const QUALITY_ORDER = ['low', 'medium', 'high'];
+        const QUALITY_STORAGE_KEY = 'galactic-portfolio:quality-tier';
+        const qualityMode = QUALITY_TIERS[config.quality] ? config.quality : 'auto';
+
+        function readStoredQualityTier() {
+            try {
+                const tier = localStorage.getItem(QUALITY_STORAGE_KEY);
+                return QUALITY_TIERS[tier] ? tier : null;
+            } catch (err) {
+                return null;
+            }
+        }
+
+        // Antialiasing can only be chosen when the WebGL context is created, so auto mode
+        // remembers the tier it settled on and starts the next visit there.
+        let qualityTier = qualityMode !== 'auto' ? qualityMode : (readStoredQualityTier() || 'high');
+
+        function getTargetPixelRatio() {
+            return Math.min(window.devicePixelRatio, QUALITY_TIERS[qualityTier].pixelRatio);
+        }
+
+        // --- Themes ---
+        // A theme colours the galaxy, the star field, the reticle, beam and markers, and the CSS
+        // variables in style.css. The choice is remembered; "auto" (the default) follows the
+        // system: high-contrast when it asks for more contrast, solar on a light scheme and
+        // nebula otherwise. Theme galaxy colours take precedence over galaxy.config.json.
+        const THEMES = {
+            nebula: {
+                label: 'Nebula', background: '#000008', insideColor: '#ffddaa', outsideColor: '#1b3984', starColor: '#aaaaaa',
+                accent: '#00ffff', accent2: '#6ad3ff', text: '#dfefff', textLink: '#aaccff', textSoft: '#88aacc', textMuted: '#5588aa', textDim: '#557799'
+            },
+            solar: {
+                label: 'Solar', background: '#0a0502', insideColor: '#fff3c4', outsideColor: '#b8441a', starColor: '#c8b8a0',
+                accent: '#ffb347', accent2: '#ffd27f', text: '#fff1e0', textLink: '#ffd9a8', textSoft: '#ccaa88', textMuted: '#aa8055', textDim: '#886644'
+            },
+            monochrome: {
+                label: 'Monochrome', background: '#000000', insideColor: '#ffffff', outsideColor: '#3a3a3a', starColor: '#999999',
+                accent: '#e0e0e0', accent2: '#b0b0b0', text: '#eeeeee', textLink: '#cccccc', textSoft: '#aaaaaa', textMuted: '#888888', textDim: '#777777'
+            },
+            'high-contrast': {
+                label: 'High contrast', background: '#000000', insideColor: '#ffffff', outsideColor: '#2f6bff', starColor: '#ffffff',
+                accent: '#ffff00', accent2: '#ffffff', text: '#ffffff', textLink: '#ffffff', textSoft: '#e0e0e0', textMuted: '#cccccc', textDim: '#bbbbbb'
+            }
+        };
+        const THEME_STORAGE_KEY = 'galactic-portfolio:theme';
+        const colorSchemeQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: light)') : null;
+        const contrastQuery = window.matchMedia ? window.matchMedia('(prefers-contrast: more)') : null;
+
+        function readStoredThemeMode() {
+            try {
+                const mode = localStorage.getItem(THEME_STORAGE_KEY);
+                return THEMES[mode] ? mode : 'auto';
+            } catch (err) {
+                return 'auto';
+            }
+        }
+
+        function resolveThemeName(mode) {
+            if (THEMES[mode]) return mode;
+            if (contrastQuery && contrastQuery.matches) return 'high-contrast';
+            if (colorSchemeQuery && colorSchemeQuery.matches) return 'solar';
+            return 'nebula';
+        }
+
+        let themeMode = readStoredThemeMode();
+        let theme = THEMES[resolveThemeName(themeMode)];
+
+        function hexToRgbList(hex) {
+            const n = parseInt(hex.slice(1), 16);
+            return [(n >> 16) & 255, (n >> 8) & 255, n & 255].join(', ');
+        }
+
+        function getThemeCssVariables() {
+            return {
+                '--bg': theme.background,
+                '--text': theme.text,
+                '--text-link': theme.textLink,
+                '--text-soft': theme.textSoft,
+                '--text-muted': theme.textMuted,
+                '--text-dim': theme.textDim,
+                '--accent': theme.accent,
+                '--accent-rgb': hexToRgbList(theme.accent),
+                '--accent-2': theme.accent2,
+                '--accent-2-rgb': hexToRgbList(theme.accent2)
+            };
+        }
+
+        function applyThemeCssVariables() {
+            const variables = getThemeCssVariables();
+            Object.keys(variables).forEach(name => styleRoot.style.setProperty(name, variables[name]));
+        }
+        applyThemeCssVariables();
+
+        // --- Motion policy ---
+        // Reduced motion follows prefers-reduced-motion unless the nav toggle has overridden it
+        // (the override is remembered). It stops auto-rotate, galaxy and star-field spin, tour
+        // orbiting, reticle and twinkle animation, turns camera flights into cuts with a short
+        // fade, makes layout morphs instant and skips the HUD count-ups. See applyMotionPolicy().
+        const MOTION_STORAGE_KEY = 'galactic-portfolio:motion';
+        const reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+        function readStoredMotionMode() {
+            try {
+                const mode = localStorage.getItem(MOTION_STORAGE_KEY);
+                return mode === 'reduced' || mode === 'full' ? mode : 'auto';
+            } catch (err) {
+                return 'auto';
+            }
+        }
+
+        function resolveReducedMotion(mode) {
+            if (mode !== 'auto') return mode === 'reduced';
+            return !!(reducedMotionQuery && reducedMotionQuery.matches);
+        }
+
+        let motionMode = readStoredMotionMode();
+        let reducedMotion = resolveReducedMotion(motionMode);
+
+        // --- Scene, Camera, Renderer ---
+        // The canvas fills the window on document.body and its container anywhere else.
+        function getViewSize() {
+            if (fullWindow) return { width: window.innerWidth, height: window.innerHeight };
+            return { width: Math.max(1, container.clientWidth), height: Math.max(1, container.clientHeight) };
+        }
+
+        const viewSize = getViewSize();
+        const scene = new THREE.Scene();
+        const camera = new THREE.PerspectiveCamera(75, viewSize.width / viewSize.height, 0.1, 200);
+        let renderer;
+        try {
+            renderer = new THREE.WebGLRenderer({ antialias: QUALITY_TIERS[qualityTier].antialias, alpha: true });
+        } catch (err) {
+            // No WebGL here: leave the page as it was for the caller's fallback.
+            cleanups.splice(0).forEach(undo => undo());
+            Object.keys(getThemeCssVariables()).forEach(name => styleRoot.style.removeProperty(name));
+            throw new Error('WebGL is not available');
+        }
+        renderer.setSize(viewSize.width, viewSize.height);
+        renderer.setPixelRatio(getTargetPixelRatio());
+        renderer.domElement.classList.add('galaxy-canvas');
+        if (!fullWindow) {
+            if (getComputedStyle(container).position === 'static') {
+                container.style.position = 'relative';
+                cleanups.push(() => { container.style.position = ''; });
+            }
+            Object.assign(renderer.domElement.style, { position: 'absolute', top: '0', left: '0' });
+        }
+        container.appendChild(renderer.domElement);
+        renderer.domElement.tabIndex = 0;
+        renderer.domElement.setAttribute('role', 'application');
+        renderer.domElement.setAttribute('aria-label', 'Galaxy view. Arrow keys or Tab move between projects, Enter flies to the highlighted one, plus and minus zoom, W A S D pan.');
+        scene.background = new THREE.Color(theme.background);
+
+        // Bloom, focus pull, aberration and vignette (see Post-processing). The targets follow
+        // the drawing-buffer size, so they are resized with the pixel ratio too.
+        const postProcessing = config.effects === false ? null : PostProcessing.create(renderer);
+
+        function resizePostProcessing() {
+            if (!postProcessing) return;
+            const size = renderer.getDrawingBufferSize(new THREE.Vector2());
+            postProcessing.setSize(size.x, size.y);
+        }
+        resizePostProcessing();
+
+        // --- Controls ---
+        const controls = new OrbitControls(camera, renderer.domElement);
+        controls.enableDamping = true;
+        controls.dampingFactor = 0.05;
+        controls.minDistance = 2;
+        controls.maxDistance = 60;
+        controls.autoRotate = QUALITY_TIERS[qualityTier].autoRotate;
+        controls.autoRotateSpeed = 0.5;
+        controls.touches.TWO = null; // pinch and two-finger pan go through the gesture layer (see Input handling)
+        let autoRotateStoppedByUser = false;
+
+        function updateAutoRotate() {
+            controls.autoRotate = QUALITY_TIERS[qualityTier].autoRotate && !autoRotateStoppedByUser && !reducedMotion;
+        }
+
+        // Camera flights bend around the bright core (a quarter of the galaxy radius, set on
+        // each regenerate). Grabbing the camera cancels whatever flight is running.
+        const CORE_AVOID_FRACTION = 0.25;
+        const cutFade = byId('cut-fade');
+        const cameraAnimator = CameraAnimator.create(camera, controls, { onCut: playCutFade });
+
+        // Dips to the background colour and back, so a cut doesn't look like a glitch.
+        function playCutFade() {
+            if (!cutFade) return;
+            cutFade.classList.remove('fading');
+            cutFade.classList.add('cut');
+            void cutFade.offsetWidth; // restart the transition
+            cutFade.classList.replace('cut', 'fading');
+        }
+        listen(controls, 'start', () => cameraAnimator.cancel());
+        const HOME_CAMERA_POSITION = new THREE.Vector3(0, 5, 10);
+        camera.position.copy(HOME_CAMERA_POSITION);
+
+        // --- Interaction helpers ---
+        const raycaster = new THREE.Raycaster();
+        let selectedHelper = null;
+        let selectedAnchorPos = null; // galaxy space
+
+        // Particle positions are in the galaxy's local space and the galaxy spins, so anything
+        // pinned to a star (reticle, markers, camera poses in routes) lives under galaxyFrame,
+        // which carries the same rotation as the particles.
+        const GALAXY_SPIN_SPEED = 0.05; // rad/s
+        const galaxyFrame = new THREE.Group();
+        scene.add(galaxyFrame);
+        let galaxySpin = 0;
+        let freezeSpinOnSelect = true;
+
+        // --- HUD elements ---
+        const hudContainer = byId('hud-container');
+        const hudWindow = byId('hud-window');
+        const hudLine = byId('hud-connector');
+        const hudDot = byId('hud-dot');
+        const hudClose = byId('hud-close');
+
+        const hudName = byId('hud-title');
+        const hudSub = byId('hud-sub');
+        const hudDistance = byId('hud-distance');
+        const hudTemp = byId('hud-temp');
+        const hudCompA = byId('hud-comp-a');
+        const hudCompB = byId('hud-comp-b');
+        const hudDistanceLabel = byId('hud-distance-label');
+        const hudTempLabel = byId('hud-temp-label');
+        const hudCompALabel = byId('hud-comp-a-label');
+        const hudCompBLabel = byId('hud-comp-b-label');
+        const hudLanguages = byId('hud-languages');
+        const hudDescText = byId('hud-desc');
+        const hudScan = byId('hud-scan');
+        const hudReadMore = byId('hud-read-more');
+
+        hudClose && listen(hudClose, 'click', () => clearSelection());
+
+        // Screen-reader announcements (polite live region).
+        const srAnnouncer = byId('sr-announcer');
+
+        function announce(text) {
+            if (!srAnnouncer) return;
+            // Clear first so repeating the same message is still announced.
+            srAnnouncer.textContent = '';
+            requestAnimationFrame(() => { srAnnouncer.textContent = text; });
+        }
+
+        // --- READ MORE LOGIC ---
+        // Opens the selected project's details (see "Project details").
+        if(hudReadMore) {
+            listen(hudReadMore, 'click', () => {
+                if (currentSelection && currentSelection.type === 'project') openProjectDetails(currentSelection.project);
+            });
+        }
+
+        // --- Preloader / Intro ---
+        const introOverlay = byId('intro-overlay');
+        const startBtn = byId('start-btn');
+        const introProgress = byId('intro-progress');
+        const introProgressFill = byId('intro-progress-fill');
+        const introProgressLabel = byId('intro-progress-label');
+        if (startBtn) listen(startBtn, 'click', () => {
+            introOverlay.classList.add('hidden');
+        });
+
+        // Fed by the galaxy stream; the start button takes over once every particle is in.
+        function setIntroProgress(fraction) {
+            const pct = Math.floor(fraction * 100);
+            if (introProgressFill) introProgressFill.style.width = pct + '%';
+            if (introProgressLabel) introProgressLabel.textContent = 'Charting ' + parameters.count.toLocaleString() + ' stars… ' + pct + '%';
+            if (fraction >= 1) {
+                if (introProgress) introProgress.classList.add('done');
+                if (startBtn) startBtn.disabled = false;
+            }
+        }
+
+        // The intro and 'progress' events follow whichever galaxy is streaming until the
+        // first one is complete, so a regenerate during loading (theme, layout, editor)
+        // carries the count on instead of leaving the intro stuck. galaxyLoaded resolves
+        // true once it is, or false if the instance is destroyed (or fails) before then.
+        let resolveGalaxyLoaded;
+        const galaxyLoaded = new Promise(resolve => { resolveGalaxyLoaded = resolve; });
+        let galaxyLoadReported = false;
+
+        function settleGalaxyLoad(ok) {
+            if (galaxyLoadReported) return;
+            galaxyLoadReported = true;
+            resolveGalaxyLoaded(ok);
+        }
+
+        function reportGalaxyLoad(fraction) {
+            if (galaxyLoadReported) return;
+            setIntroProgress(fraction);
+            emit('progress', fraction);
+            if (fraction >= 1) settleGalaxyLoad(true);
+        }
+
+        // --- Numeric animation helper ---
+        function animateNumber(el, from, to, duration = 900, fixed = 0) {
+            if (reducedMotion) {
+                if (el) el.textContent = Number(to).toFixed(fixed);
+                return;
+            }
+            const start = performance.now();
+            function frame(now) {
+                const t = Math.min(1, (now - start) / duration);
+                const e = t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t; 
+                const value = from + (to - from) * e;
+                if(el) el.textContent = value.toFixed(fixed);
+                if (t < 1) requestAnimationFrame(frame);
+            }
+            requestAnimationFrame(frame);
+        }
+
+        // --- HUD scan animation ---
+        let scanAnimId = null;
+        function startScan() {
+            let val = reducedMotion ? 100 : 0;
+            if (scanAnimId) cancelAnimationFrame(scanAnimId);
+            function step() {
+                val += 0.7;
+                if(hudScan) hudScan.textContent = Math.min(100, Math.floor(val)) + '%';
+                if (val < 100) scanAnimId = requestAnimationFrame(step);
+                else scanAnimId = null;
+            }
+            step();
+        }
+        function stopScan() {
+            if (scanAnimId) cancelAnimationFrame(scanAnimId);
+            scanAnimId = null;
+            if(hudScan) hudScan.textContent = '0%';
+        }
+
+        // --- HUD telemetry ---
+        // Named metrics a HUD slot can display. Each reads a validated project record and
+        // returns a number, or undefined when the project doesn't carry that data.
+        const telemetryMetrics = {
+            commits: p => p.metrics.commits,
+            stars: p => p.metrics.stars,
+            loc: p => p.metrics.loc,
+            yearsActive: p => getYearsActive(p),
+            languages: p => {
+                const count = Object.keys(p.metrics.languages).length;
+                return count > 0 ? count : undefined;
+            }
+        };
+
+        // Which metric fills each HUD slot when a project is selected (see projectManifest.js).
+        let projectTelemetry = ProjectManifest.DEFAULT_TELEMETRY;
+
+        // Plain stars have no project data, so their readouts are seeded from the particle index
+        // and stay the same every time that star is picked.
+        const starTelemetry = {
+            distance: { label: 'Distance', unit: 'ly', fixed: 0, min: 5000, max: 95000 },
+            temperature: { label: 'Temperature', unit: 'K', fixed: 0, min: 1000, max: 10000 },
+            compA: { label: 'Comp A', unit: '%', fixed: 2, min: 10, max: 80 },
+            compB: { label: 'Comp B', unit: '%', fixed: 2, min: 0, max: 30 }
+        };
+
+        const TELEMETRY_SLOTS = ProjectManifest.TELEMETRY_SLOTS;
+
+        function parseProjectDate(str) {
+            const parts = str.split('-').map(Number);
+            return new Date(parts[0], parts[1] - 1, parts[2] || 1);
+        }
+
+        function getYearsActive(project) {
+            if (!project.dates) return undefined;
+            const start = parseProjectDate(project.dates.start);
+            const end = project.dates.end ? parseProjectDate(project.dates.end) : new Date();
+            return Math.max(0, (end - start) / (365.25 * 24 * 3600 * 1000));
+        }
+
+        // Stateless integer hash -> [0, 1). Same index and salt always give the same value.
+        function hashToUnit(index, salt) {
+            let h = Math.imul(index ^ 0x9e3779b9, 0x85ebca6b) ^ Math.imul(salt + 1, 0xc2b2ae35);
+            h ^= h >>> 16;
+            h = Math.imul(h, 0x7feb352d);
+            h ^= h >>> 15;
+            h = Math.imul(h, 0x846ca68b);
+            h ^= h >>> 16;
+            return (h >>> 0) / 4294967296;
+        }
+
+        function buildStarTelemetry(particleIndex) {
+            const telemetry = {};
+            TELEMETRY_SLOTS.forEach((slot, i) => {
+                const cfg = starTelemetry[slot];
+                const value = cfg.min + hashToUnit(particleIndex, i) * (cfg.max - cfg.min);
+                telemetry[slot] = { label: cfg.label, unit: cfg.unit, fixed: cfg.fixed, value: +value.toFixed(cfg.fixed) };
+            });
+            return telemetry;
+        }
+
+        function buildProjectTelemetry(project) {
+            const telemetry = {};
+            TELEMETRY_SLOTS.forEach(slot => {
+                const cfg = projectTelemetry[slot];
+                const read = telemetryMetrics[cfg.metric];
+                const value = read ? read(project) : undefined;
+                telemetry[slot] = { label: cfg.label, unit: cfg.unit, fixed: cfg.fixed, value };
+            });
+            return telemetry;
+        }
+
+        function setTelemetrySlot(labelEl, valueEl, slot) {
+            if (labelEl) labelEl.textContent = slot.unit ? slot.label + ' (' + slot.unit + ')' : slot.label;
+            if (slot.value === undefined) {
+                if (valueEl) valueEl.textContent = '—';
+                return;
+            }
+            animateNumber(valueEl, 0, Number(slot.value), 900, slot.fixed);
+        }
+
+        function renderLanguageBreakdown(languages) {
+            if (!hudLanguages) return;
+            hudLanguages.innerHTML = '';
+            const entries = Object.keys(languages || {}).map(name => [name, languages[name]]).sort((a, b) => b[1] - a[1]);
+            const total = entries.reduce((sum, e) => sum + e[1], 0);
+            hudLanguages.style.display = total > 0 ? 'block' : 'none';
+            if (total === 0) return;
+
+            const bar = document.createElement('div');
+            bar.className = 'hud-lang-bar';
+            const legend = document.createElement('div');
+            legend.className = 'hud-lang-legend';
+            entries.forEach(([name, share], i) => {
+                const pct = share / total * 100;
+                const seg = document.createElement('span');
+                seg.className = 'hud-lang-seg lang-' + Math.min(i, 4);
+                seg.style.width = pct + '%';
+                bar.appendChild(seg);
+
+                const item = document.createElement('span');
+                item.className = 'hud-lang-item lang-' + Math.min(i, 4);
+                item.textContent = name + ' ' + pct.toFixed(0) + '%';
+                legend.appendChild(item);
+            });
+            hudLanguages.appendChild(bar);
+            hudLanguages.appendChild(legend);
+        }
+
+        function showHUD(data) {
+            if(hudName) hudName.textContent = data.title || data.name || 'UNKNOWN';
+            if(hudSub) hudSub.textContent = data.type || data.subtitle || 'UNKNOWN';
+            if(hudDescText) hudDescText.textContent = data.desc || 'No description provided.';
+
+            // Only projects have details to read more about
+            if(hudReadMore) hudReadMore.style.display = data.project ? 'inline-block' : 'none';
+
+            const telemetry = data.telemetry || buildStarTelemetry(data.particleIndex || 0);
+            setTelemetrySlot(hudDistanceLabel, hudDistance, telemetry.distance);
+            setTelemetrySlot(hudTempLabel, hudTemp, telemetry.temperature);
+            setTelemetrySlot(hudCompALabel, hudCompA, telemetry.compA);
+            setTelemetrySlot(hudCompBLabel, hudCompB, telemetry.compB);
+            renderLanguageBreakdown(data.languages);
+
+            if (hudContainer) hudContainer.classList.add('visible');
+            startScan();
+            announce([data.title || data.name, data.type || data.subtitle, data.desc].filter(Boolean).join('. '));
+        }
+
+        function hideHUD(immediate = false) {
+            stopScan();
+            if (hudContainer) {
+                hudContainer.classList.remove('visible');
+
+                // Force hide opacity to prevent loop glitch
+                hudContainer.style.opacity = '0';
+            }
+
+            selectedAnchorPos = null;
+            removeReticle();
+        }
+
+        // --- Sci-Fi Reticle Generator ---
+        function createSciFiReticle() {
+            const group = new THREE.Group();
+
+            // 1. Spinning Outer Ring
+            const ringGeo = new THREE.TorusGeometry(0.15, 0.003, 16, 100);
+            const ringMat = new THREE.MeshBasicMaterial({ color: theme.accent, transparent: true, opacity: 0.8 });
+            const ring = new THREE.Mesh(ringGeo, ringMat);
+            group.add(ring);
+
+            // 2. Inner Rotating Brackets
+            const bracketGeo = new THREE.RingGeometry(0.09, 0.11, 4, 1, 0, Math.PI * 0.5);
+            const bracketMat = new THREE.MeshBasicMaterial({ color: theme.accent, side: THREE.DoubleSide });
+            const bracket1 = new THREE.Mesh(bracketGeo, bracketMat);
+            const bracket2 = new THREE.Mesh(bracketGeo, bracketMat);
+            bracket2.rotation.z = Math.PI;
+            const bracketGroup = new THREE.Group();
+            bracketGroup.add(bracket1);
+            bracketGroup.add(bracket2);
+            group.add(bracketGroup);
+
+            // 3. Central Core
+            const coreGeo = new THREE.SphereGeometry(0.03, 16, 16);
+            const coreMat = new THREE.MeshBasicMaterial({ color: 0xffffff });
+            const core = new THREE.Mesh(coreGeo, coreMat);
+            group.add(core);
+
+            group.userData = {
+                accentMaterials: [ringMat, bracketMat],
+                animate: function(delta) {
+                    ring.rotation.x += delta * 0.5;
+                    ring.rotation.y += delta * 0.5;
+                    bracketGroup.rotation.z -= delta * 1.5;
+                    const scale = 1 + Math.sin(performance.now() * 0.005) * 0.1;
+                    core.scale.set(scale, scale, scale);
+                }
+            };
+            return PostProcessing.enableBloom(group);
+        }
+
+        // Frees the GPU side of an object and everything under it.
+        function disposeObject(object) {
+            object.traverse(child => {
+                if (child.geometry) child.geometry.dispose();
+                if (child.material) {
+                    if (child.material.map) child.material.map.dispose();
+                    child.material.dispose();
+                }
+            });
+        }
+
+        function removeReticle() {
+            if (!selectedHelper) return;
+            galaxyFrame.remove(selectedHelper);
+            disposeObject(selectedHelper);
+            selectedHelper = null;
+        }
+
+        // --- Galaxy parameters & generation ---
+        // Defaults below are overridden by galaxy.config.json (exported from the editor), and
+        // config.parameters overrides both (the page passes ?seed= through it, so a link
+        // reproduces the exact galaxy).
+        const GALAXY_CONFIG_URL = config.galaxyConfigUrl || 'galaxy.config.json';
+        const DEFAULT_GALAXY_SEED = 'andromeda';
+
+        const parameters = {
+            seed: DEFAULT_GALAXY_SEED,
+            layout: 'spiral',
+            count: 350000,
+            radius: 5,
+            branches: 5,
+            spin: 1.5,
+            randomness: 0.3,
+            randomnessPower: 3,
+            insideColor: '#ffddaa',
+            outsideColor: '#1b3984'
+        };
+
+        // Valid ranges for each parameter; also drives the editor's controls.
+        const parameterSpecs = {
+            seed: { type: 'text' },
+            layout: { type: 'select', options: GalaxyGenerator.layouts },
+            count: { type: 'range', min: 1000, max: 1000000, step: 1000 },
+            radius: { type: 'range', min: 1, max: 20, step: 0.1 },
+            branches: { type: 'range', min: 1, max: 12, step: 1 },
+            spin: { type: 'range', min: -5, max: 5, step: 0.01 },
+            randomness: { type: 'range', min: 0, max: 2, step: 0.01 },
+            randomnessPower: { type: 'range', min: 1, max: 10, step: 0.1 },
+            insideColor: { type: 'color' },
+            outsideColor: { type: 'color' }
+        };
+
+        function isPlainObject(value) {
+            return !!value && typeof value === 'object' && !Array.isArray(value);
+        }
+
+        // Keeps the known, in-range keys of a config object and warns about the rest.
+        function sanitizeGalaxyParameters(raw, source = GALAXY_CONFIG_URL) {
+            const clean = {};
+            if (!isPlainObject(raw)) {
+                console.warn(source + ': expected an object');
+                return clean;
+            }
+            Object.keys(raw).forEach(key => {
+                const spec = parameterSpecs[key];
+                const value = raw[key];
+                let ok = false;
+                if (spec && spec.type === 'text') ok = (typeof value === 'string' && value.length > 0) || typeof value === 'number';
+                else if (spec && spec.type === 'color') ok = typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+                else if (spec && spec.type === 'select') ok = spec.options.indexOf(value) !== -1;
+                else if (spec) ok = typeof value === 'number' && value >= spec.min && value <= spec.max;
+                if (ok) clean[key] = spec.type === 'text' ? String(value) : value;
+                else console.warn(source + ': ignoring invalid "' + key + '"');
+            });
+            return clean;
+        }
+
+        // A missing config file is fine; the defaults above are used.
+        function loadGalaxyConfig() {
+            return fetch(GALAXY_CONFIG_URL)
+                .then(res => (res.ok ? res.json().then(sanitizeGalaxyParameters) : {}))
+                .catch(err => {
+                    console.warn('Unable to load ' + GALAXY_CONFIG_URL + ':', err);
+                    return {};
+                });
+        }
+
+        let geometry = null;
+        let material = null;
+        let points = null;
+        let starField = null;
+
+        // Layout presets offered in the nav, in menu order.
+        const LAYOUT_LABELS = {
+            spiral: 'Spiral',
+            barred: 'Barred spiral',
+            elliptical: 'Elliptical',
+            ring: 'Ring',
+            clusters: 'Project clusters'
+        };
+
+        // Morphs between galaxies run on the GPU: while galaxyMorph goes 0 -> 1 the vertex
+        // shader blends every particle from positionFrom/colorFrom (the old galaxy) to its new
+        // position and colour.
+        const GALAXY_MORPH_MS = 1800;
+        const galaxyMorph = { value: 1 };
+        let galaxyMorphStart = -1;
+
+        // ParticleMaterial sizes points like PointsMaterial does: world size times half the
+        // drawing buffer height over depth.
+        function getParticleScale() {
+            return renderer.getDrawingBufferSize(new THREE.Vector2()).y / 2;
+        }
+
+        function updateParticleScale() {
+            const scale = getParticleScale();
+            if (material) material.uniforms.uScale.value = scale;
+            if (starField) starField.material.uniforms.uScale.value = scale;
+        }
+
+        function createGalaxyMaterial() {
+            const galaxyMaterial = ParticleMaterial.create({ size: 0.03, morph: galaxyMorph });
+            galaxyMaterial.uniforms.uScale.value = getParticleScale();
+            return galaxyMaterial;
+        }
+
+        function isGalaxyComplete() {
+            return !!points && galaxyLoadedCount === geometry.getAttribute('position').count;
+        }
+
+        // Where particle i is drawn right now, part way through a morph or not.
+        function getDisplayedParticle(i, out) {
+            const to = geometry.getAttribute('position');
+            const from = geometry.getAttribute('positionFrom');
+            out.set(to.getX(i), to.getY(i), to.getZ(i));
+            if (from && galaxyMorph.value < 1) {
+                out.lerpVectors(new THREE.Vector3(from.getX(i), from.getY(i), from.getZ(i)), out, galaxyMorph.value);
+            }
+            return out;
+        }
+
+        // Snapshot of what is on screen, used as the starting point of the next morph.
+        function captureDisplayedGalaxy() {
+            const count = geometry.getAttribute('position').count;
+            const positions = new Float32Array(geometry.getAttribute('position').array);
+            const colors = new Float32Array(geometry.getAttribute('color').array);
+            const fromPositions = geometry.getAttribute('positionFrom');
+            const fromColors = geometry.getAttribute('colorFrom');
+            const e = galaxyMorph.value;
+            if (fromPositions && e < 1) {
+                for (let j = 0; j < count * 3; j++) {
+                    positions[j] = fromPositions.array[j] + (positions[j] - fromPositions.array[j]) * e;
+                    colors[j] = fromColors.array[j] + (colors[j] - fromColors.array[j]) * e;
+                }
+            }
+            return { positions, colors, count };
+        }
+
+        // Old particle i % from.count becomes new particle i, so galaxies of any size morph.
+        function startGalaxyMorph(from) {
+            const count = geometry.getAttribute('position').count;
+            const positions = new Float32Array(count * 3);
+            const colors = new Float32Array(count * 3);
+            for (let i = 0; i < count; i++) {
+                const j = (i % from.count) * 3;
+                positions.set(from.positions.subarray(j, j + 3), i * 3);
+                colors.set(from.colors.subarray(j, j + 3), i * 3);
+            }
+            geometry.setAttribute('positionFrom', new THREE.BufferAttribute(positions, 3));
+            geometry.setAttribute('colorFrom', new THREE.BufferAttribute(colors, 3));
+            galaxyMorph.value = 0;
+            galaxyMorphStart = performance.now();
+        }
+
+        function updateGalaxyMorph(now) {
+            if (galaxyMorphStart < 0) return;
+            const t = reducedMotion ? 1 : Math.min(1, (now - galaxyMorphStart) / GALAXY_MORPH_MS);
+            galaxyMorph.value = CameraAnimator.easings.easeInOutCubic(t);
+            if (t < 1) return;
+            galaxyMorphStart = -1;
+            geometry.deleteAttribute('positionFrom');
+            geometry.deleteAttribute('colorFrom');
+        }
+
+        // What the generator gets: the editable parameters plus, for the project-cluster
+        // layout, one cluster centre per project.
+        function getGalaxyBuildParameters() {
+            const build = Object.assign({}, parameters);
+            if (parameters.layout === 'clusters') {
+                build.clusters = projects.map((project, i) => {
+                    const p = getProjectTargetPosition(project, i, projects.length);
+                    return { x: p.x, y: p.y, z: p.z };
+                });
+            }
+            return build;
+        }
+
+        const GALAXY_CHUNK_SIZE = 25000;
+        let galaxyJob = 0;
+        let galaxyWorker = null;
+        let galaxyLoadedCount = 0; // particles streamed in so far
+        let resolvePendingGalaxy = null;
+
+        // Copies one streamed chunk into the attribute and widens the range due for upload.
+        // three.js resets updateRange.count to -1 once it has uploaded, so chunks that arrive
+        // between two frames are merged into a single upload.
+        function uploadGalaxyChunk(attr, chunk, start) {
+            const offset = start * attr.itemSize;
+            attr.array.set(chunk, offset);
+            const range = attr.updateRange;
+            if (range.count === -1) {
+                range.offset = offset;
+                range.count = chunk.length;
+            } else {
+                const end = Math.max(range.offset + range.count, offset + chunk.length);
+                range.offset = Math.min(range.offset, offset);
+                range.count = end - range.offset;
+            }
+            attr.needsUpdate = true;
+        }
+
+        // Streams a new galaxy in from galaxyWorker.js. Without `morph`, the new galaxy replaces
+        // the old one straight away and draws whatever has arrived so far; with it, the old
+        // galaxy stays up until every particle is in and then morphs into the new one.
+        // Resolves true when every particle is in, or false if a newer generateGalaxy() call
+        // replaced this one first.
+        function generateGalaxy(onProgress, morph = false) {
+            const job = ++galaxyJob;
+            if (galaxyWorker) {
+                galaxyWorker.terminate();
+                galaxyWorker = null;
+            }
+            if (resolvePendingGalaxy) resolvePendingGalaxy(false);
+
+            const count = parameters.count;
+            const nextGeometry = new THREE.BufferGeometry();
+            const positionAttr = new THREE.BufferAttribute(new Float32Array(count * 3), 3).setUsage(THREE.DynamicDrawUsage);
+            const colorAttr = new THREE.BufferAttribute(new Float32Array(count * 3), 3).setUsage(THREE.DynamicDrawUsage);
+            const sizeAttr = new THREE.BufferAttribute(new Float32Array(count), 1).setUsage(THREE.DynamicDrawUsage);
+            const brightnessAttr = new THREE.BufferAttribute(new Float32Array(count), 1).setUsage(THREE.DynamicDrawUsage);
+            nextGeometry.setAttribute('position', positionAttr);
+            nextGeometry.setAttribute('color', colorAttr);
+            nextGeometry.setAttribute('size', sizeAttr);
+            nextGeometry.setAttribute('brightness', brightnessAttr);
+
+            const swapGeometry = () => {
+                if (geometry) geometry.dispose();
+                geometry = nextGeometry;
+                if (points) {
+                    points.geometry = geometry;
+                } else {
+                    material = createGalaxyMaterial();
+                    points = new THREE.Points(geometry, material);
+                    points.frustumCulled = false; // the bounds move during a morph; the galaxy is nearly always in view anyway
+                    PostProcessing.enableBloom(points);
+                    scene.add(points);
+                }
+            };
+            if (!morph) {
+                galaxyMorphStart = -1;
+                galaxyMorph.value = 1;
+                swapGeometry();
+                galaxyLoadedCount = 0;
+                geometry.setDrawRange(0, 0);
+            }
+
+            return new Promise(resolve => {
+                resolvePendingGalaxy = resolve;
+                const finish = (ok) => {
+                    if (galaxyWorker) galaxyWorker.terminate();
+                    galaxyWorker = null;
+                    resolvePendingGalaxy = null;
+                    resolve(ok);
+                };
+                const onChunk = (start, chunk) => {
+                    if (job !== galaxyJob) return;
+                    const filled = start + chunk.positions.length / 3;
+                    if (morph) {
+                        // Not on the GPU yet; the whole buffer is uploaded when it is swapped in.
+                        positionAttr.array.set(chunk.positions, start * 3);
+                        colorAttr.array.set(chunk.colors, start * 3);
+                        sizeAttr.array.set(chunk.sizes, start);
+                        brightnessAttr.array.set(chunk.brightness, start);
+                    } else {
+                        uploadGalaxyChunk(positionAttr, chunk.positions, start);
+                        uploadGalaxyChunk(colorAttr, chunk.colors, start);
+                        uploadGalaxyChunk(sizeAttr, chunk.sizes, start);
+                        uploadGalaxyChunk(brightnessAttr, chunk.brightness, start);
+                        galaxyLoadedCount = filled;
+                        applyParticleBudget();
+                    }
+                    if (onProgress) onProgress(filled / count);
+                    reportGalaxyLoad(filled / count);
+                    if (filled < count) return;
+                    if (morph) {
+                        const from = captureDisplayedGalaxy();
+                        swapGeometry();
+                        galaxyLoadedCount = count;
+                        applyParticleBudget();
+                        startGalaxyMorph(from);
+                    }
+                    finish(true);
+                };
+                // Nothing left to fall back on: without a galaxy the instance is no use, so it
+                // fails like a lost context does and the page can show something else.
+                const fail = (err) => {
+                    if (job !== galaxyJob) return;
+                    console.error('Unable to generate the galaxy:', err);
+                    finish(false);
+                    failInstance('the galaxy could not be generated');
+                };
+                // No worker: same chunks, yielding to the browser between them.
+                const generateOnMainThread = () => {
+                    let generator;
+                    let start = 0;
+                    (function step() {
+                        if (job !== galaxyJob) return;
+                        try {
+                            if (!generator) generator = GalaxyGenerator.create(getGalaxyBuildParameters());
+                            const size = Math.min(GALAXY_CHUNK_SIZE, generator.remaining);
+                            const chunk = {
+                                positions: new Float32Array(size * 3),
+                                colors: new Float32Array(size * 3),
+                                sizes: new Float32Array(size),
+                                brightness: new Float32Array(size)
+                            };
+                            generator.fill(chunk.positions, chunk.colors, size, chunk.sizes, chunk.brightness);
+                            onChunk(start, chunk);
+                            start += size;
+                        } catch (err) {
+                            fail(err);
+                            return;
+                        }
+                        if (generator.remaining > 0) setTimeout(step, 0);
+                    })();
+                };
+
+                if (window.Worker) {
+                    try {
+                        galaxyWorker = new Worker(workerBase + 'galaxyWorker.js');
+                        galaxyWorker.onmessage = (m) => onChunk(m.data.start, m.data);
+                        galaxyWorker.onerror = (err) => {
+                            galaxyWorker.terminate();
+                            galaxyWorker = null;
+                            generateOnMainThread();
+                        };
+                        galaxyWorker.postMessage({ parameters: getGalaxyBuildParameters(), chunkSize: GALAXY_CHUNK_SIZE });
+                    } catch (err) {
+                        generateOnMainThread();
+                    }
+                } else {
+                    generateOnMainThread();
+                }
+            });
+        }
+
+        function generateStarField() {
+            if (starField !== null) {
+                starField.geometry.dispose();
+                starField.material.dispose();
+                scene.remove(starField);
+            }
+            const starCount = 10000;
+            const starGeometry = new THREE.BufferGeometry();
+            const starPositions = new Float32Array(starCount * 3);
+            const starColors = new Float32Array(starCount * 3);
+            const starSizes = new Float32Array(starCount);
+            const starBrightness = new Float32Array(starCount);
+            const range = 100;
+            const random = Prng.create(parameters.seed, 'stars');
+            const tintRandom = Prng.create(parameters.seed, 'star-tint');
+            const starColor = new THREE.Color(theme.starColor);
+            for (let i = 0; i < starCount; i++) {
+                const i3 = i * 3;
+                starPositions[i3] = (random() - 0.5) * range;
+                starPositions[i3 + 1] = (random() - 0.5) * range;
+                starPositions[i3 + 2] = (random() - 0.5) * range;
+                // The theme's star colour with a faint warm or cool cast.
+                const tint = (tintRandom() - 0.5) * 0.15;
+                starColors[i3] = starColor.r + tint;
+                starColors[i3 + 1] = starColor.g;
+                starColors[i3 + 2] = starColor.b - tint;
+            }
+            GalaxyGenerator.fillAppearance(Prng.create(parameters.seed, 'star-appearance'), starSizes, starBrightness, starCount);
+            starGeometry.setAttribute('position', new THREE.BufferAttribute(starPositions, 3));
+            starGeometry.setAttribute('color', new THREE.BufferAttribute(starColors, 3));
+            starGeometry.setAttribute('size', new THREE.BufferAttribute(starSizes, 1));
+            starGeometry.setAttribute('brightness', new THREE.BufferAttribute(starBrightness, 1));
+            starGeometry.setDrawRange(0, Math.floor(starCount * QUALITY_TIERS[qualityTier].starFraction));
+            const starMaterial = ParticleMaterial.create({ size: 0.08, twinkle: 0.5 });
+            starMaterial.uniforms.uScale.value = getParticleScale();
+            starField = new THREE.Points(starGeometry, starMaterial);
+            scene.add(starField);
+        }
+
+        // --- Anchor assignment (worker fallback) ---
+        function computeTargetPositionForProject(index, total) {
+            const t = index / total;
+            const branch = index % parameters.branches;
+            const branchAngle = (branch / parameters.branches) * Math.PI * 2 + t * Math.PI * 0.5;
+            const radius = parameters.radius * (0.35 + 0.55 * t);
+            const spinAngle = radius * parameters.spin;
+            const x = Math.cos(branchAngle + spinAngle) * radius;
+            const y = 0;
+            const z = Math.sin(branchAngle + spinAngle) * radius;
+            return new THREE.Vector3(x, y, z);
+        }
+
+        // Particles currently on screen: streamed in so far and within the quality budget.
+        function getDrawnParticleCount() {
+            return Math.min(galaxyLoadedCount, geometry.drawRange.count);
+        }
+
+        // Anchors only use particles the lowest tier still draws, so they never vanish or
+        // move when the quality tier changes.
+        function getAnchorParticleLimit() {
+            return Math.min(galaxyLoadedCount, Math.floor(parameters.count * QUALITY_TIERS.low.particleFraction));
+        }
+
+        // Nearest particle with index below limit (defaults to the drawn ones), or null.
+        function findNearestParticleTo(pos, limit = getDrawnParticleCount()) {
+            if (particleTree) {
+                const hit = SpatialIndex.nearest(particleTree, pos.x, pos.y, pos.z, limit);
+                return hit && { index: hit.index, position: new THREE.Vector3(hit.x, hit.y, hit.z) };
+            }
+            // Index still building: exact linear scan.
+            const arr = geometry.getAttribute('position').array.subarray(0, limit * 3);
+            if (arr.length === 0) return null;
+            let bestIndex = 0;
+            let bestDistSq = Infinity;
+            for (let i = 0, j = 0; j < arr.length; i++, j += 3) {
+                const dx = arr[j] - pos.x;
+                const dy = arr[j + 1] - pos.y;
+                const dz = arr[j + 2] - pos.z;
+                const d2 = dx * dx + dy * dy + dz * dz;
+                if (d2 < bestDistSq) {
+                    bestDistSq = d2;
+                    bestIndex = i;
+                }
+            }
+            const j = bestIndex * 3;
+            return { index: bestIndex, position: new THREE.Vector3(arr[j], arr[j + 1], arr[j + 2]) };
+        }
+
+        // --- Project manifest ---
+        // projectManifest.js checks it, exactly as it does for the flat fallback.
+        const PROJECTS_MANIFEST_URL = config.projectsUrl || 'projects.json';
+
+        const projectsScroll = byId('projects-scroll');
+        let projects = [];
+        const projectAnchors = new Map(); // project id -> { index, position }
+
+        function loadProjects() {
+            return ProjectManifest.load(PROJECTS_MANIFEST_URL)
+                .then(result => {
+                    projectTelemetry = result.telemetry;
+                    tourSettings = result.tour;
+                    return result.projects;
+                });
+        }
+
+        function getProjectById(id) {
+            return projects.find(p => p.id === id) || null;
+        }
+
+        function getBannerForProject(id) {
+            return projectsScroll ? projectsScroll.querySelector('.project-banner[data-project-id="' + id + '"]') : null;
+        }
+
+        function renderProjectBanners(list, emptyMessage = 'No projects charted yet.') {
+            if (!projectsScroll) return;
+            projectsScroll.innerHTML = '';
+            if (list.length === 0) {
+                const empty = document.createElement('div');
+                empty.className = 'projects-empty';
+                empty.textContent = emptyMessage;
+                projectsScroll.appendChild(empty);
+                return;
+            }
+            list.forEach(project => {
+                const card = document.createElement('div');
+                card.className = 'project-banner';
+                card.dataset.projectId = project.id;
+
+                const title = document.createElement('span');
+                title.className = 'project-banner-title';
+                title.textContent = project.title;
+                card.appendChild(title);
+
+                if (project.subtitle) {
+                    const sub = document.createElement('span');
+                    sub.className = 'project-banner-sub';
+                    sub.textContent = project.subtitle;
+                    card.appendChild(sub);
+                }
+
+                card.tabIndex = 0;
+                card.setAttribute('role', 'button');
+                card.addEventListener('click', () => selectProject(project));
+                card.addEventListener('keydown', (e) => {
+                    if (e.key !== 'Enter' && e.key !== ' ') return;
+                    e.preventDefault();
+                    selectProject(project);
+                });
+                projectsScroll.appendChild(card);
+            });
+            applyProjectFilter();
+        }
+
+        // --- Project anchors ---
+        function getProjectTargetPosition(project, index, total) {
+            if (project.anchor) return new THREE.Vector3(project.anchor.x, project.anchor.y, project.anchor.z);
+            return computeTargetPositionForProject(index, total);
+        }
+
+        // Runs once both the manifest and the spatial index are ready, whichever lands last.
+        // Waits for the spatial index unless allowScan, which accepts an exact linear scan.
+        function assignProjectAnchors(allowScan = false) {
+            if ((!particleTree && !allowScan) || projects.length === 0) return;
+            projects.forEach((project, i) => {
+                const nearest = findNearestParticleTo(getProjectTargetPosition(project, i, projects.length), getAnchorParticleLimit());
+                if (nearest) projectAnchors.set(project.id, nearest);
+            });
+            updateProjectMarkers();
+        }
+
+        // --- Project markers ---
+        // A labelled glow sprite on every anchor, parented to galaxyFrame so they spin with the
+        // particles. Markers keep a roughly constant on-screen size and fade towards the edges
+        // of the view.
+        const MARKER_CANVAS_W = 256;
+        const MARKER_CANVAS_H = 96;
+        const MARKER_GLOW_Y = 32; // px from the top of the canvas; the anchor sits here
+        const MARKER_SCREEN_SCALE = 0.12; // world width per unit of camera distance
+        const MARKER_MIN_WIDTH = 0.3;
+        const MARKER_MAX_WIDTH = 3;
+        const MARKER_MIN_OPACITY = 0.25;
+        const MARKER_MATCH_SCALE = 1.25;
+        const MARKER_FILTERED_OPACITY = 0.15;
+        const projectMarkers = new THREE.Group();
+        galaxyFrame.add(projectMarkers);
+
+        function createMarkerTexture(label) {
+            const canvas = document.createElement('canvas');
+            canvas.width = MARKER_CANVAS_W;
+            canvas.height = MARKER_CANVAS_H;
+            const ctx = canvas.getContext('2d');
+            if (!ctx) return null;
+            const cx = MARKER_CANVAS_W / 2;
+            const glow = ctx.createRadialGradient(cx, MARKER_GLOW_Y, 0, cx, MARKER_GLOW_Y, 28);
+            glow.addColorStop(0, 'rgba(255, 255, 255, 1)');
+            glow.addColorStop(0.2, 'rgba(' + hexToRgbList(theme.accent2) + ', 0.9)');
+            glow.addColorStop(1, 'rgba(' + hexToRgbList(theme.accent) + ', 0)');
+            ctx.fillStyle = glow;
+            ctx.fillRect(0, 0, MARKER_CANVAS_W, MARKER_GLOW_Y * 2);
+
+            ctx.font = '600 20px "Segoe UI", Tahoma, Geneva, Verdana, sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.shadowColor = 'rgba(' + hexToRgbList(theme.accent) + ', 0.8)';
+            ctx.shadowBlur = 8;
+            ctx.fillStyle = theme.text;
+            ctx.fillText(label.toUpperCase(), cx, MARKER_GLOW_Y + 42, MARKER_CANVAS_W - 16);
+            return new THREE.CanvasTexture(canvas);
+        }
+
+        function clearProjectMarkers() {
+            projectMarkers.children.slice().forEach(sprite => {
+                if (sprite.material.map) sprite.material.map.dispose();
+                sprite.material.dispose();
+                projectMarkers.remove(sprite);
+            });
+        }
+
+        function updateProjectMarkers() {
+            clearProjectMarkers();
+            projects.forEach(project => {
+                const anchor = projectAnchors.get(project.id);
+                if (!anchor) return;
+                const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+                    map: createMarkerTexture(project.title),
+                    transparent: true,
+                    depthTest: false,
+                    depthWrite: false
+                }));
+                sprite.center.set(0.5, 1 - MARKER_GLOW_Y / MARKER_CANVAS_H);
+                sprite.renderOrder = 10; // over the particles
+                sprite.position.copy(anchor.position);
+                sprite.userData.project = project;
+                sprite.userData.anchorIndex = anchor.index;
+                sprite.userData.filterMatch = isProjectFilterActive() ? projectMatchesFilter(project) : null;
+                projectMarkers.add(sprite);
+            });
+        }
+
+        const markerWorldPos = new THREE.Vector3();
+        const markerViewDir = new THREE.Vector3();
+        const cameraForward = new THREE.Vector3();
+
+        function animateProjectMarkers() {
+            camera.getWorldDirection(cameraForward);
+            projectMarkers.children.forEach(sprite => {
+                getDisplayedParticle(sprite.userData.anchorIndex, sprite.position); // follows a morph
+                sprite.updateMatrixWorld();
+                sprite.getWorldPosition(markerWorldPos);
+                markerViewDir.subVectors(markerWorldPos, camera.position);
+                const dist = markerViewDir.length();
+                const width = THREE.MathUtils.clamp(dist * MARKER_SCREEN_SCALE, MARKER_MIN_WIDTH, MARKER_MAX_WIDTH);
+                sprite.scale.set(width, width * MARKER_CANVAS_H / MARKER_CANVAS_W, 1);
+                // Full strength near the centre of view, fading to MARKER_MIN_OPACITY at ~45°.
+                const facing = dist > 0 ? cameraForward.dot(markerViewDir) / dist : 1;
+                const fade = THREE.MathUtils.smoothstep(facing, 0.7, 0.95);
+                let opacity = MARKER_MIN_OPACITY + (1 - MARKER_MIN_OPACITY) * fade;
+                // While a filter is on, matches light up and the rest dim.
+                if (sprite.userData.filterMatch === true) {
+                    opacity = 1;
+                    sprite.scale.multiplyScalar(MARKER_MATCH_SCALE);
+                } else if (sprite.userData.filterMatch === false) {
+                    opacity *= MARKER_FILTERED_OPACITY;
+                }
+                sprite.material.opacity = opacity;
+            });
+        }
+
+        // Project whose marker is under the pointer, or null.
+        function pickProjectMarker(x, y) {
+            if (projectMarkers.children.length === 0) return null;
+            getRayFromPointer(x, y);
+            const hit = raycaster.intersectObjects(projectMarkers.children)[0];
+            return hit ? hit.object.userData.project : null;
+        }
+
+        // --- Project filter ---
+        // A search box and tag chips above the banner list. Every word of the query has to
+        // appear in the title, subtitle, description or tags; with chips on, a project needs at
+        // least one of the chosen tags. Banners that don't match are hidden and their markers
+        // dim; "Fit to results" frames whatever matches.
+        const projectSearch = byId('project-search');
+        const projectTagsEl = byId('project-tags');
+        const projectFilterCount = byId('project-filter-count');
+        const projectFitBtn = byId('project-fit');
+        const projectFilter = { query: '', tags: new Set() };
+        const FIT_MARGIN = 1.3;
+
+        function isProjectFilterActive() {
+            return projectFilter.query !== '' || projectFilter.tags.size > 0;
+        }
+
+        function projectMatchesFilter(project) {
+            if (projectFilter.tags.size > 0 && !project.tags.some(tag => projectFilter.tags.has(tag))) return false;
+            const text = [project.title, project.subtitle, project.description].concat(project.tags).join(' ').toLowerCase();
+            return projectFilter.query.split(/\s+/).filter(Boolean).every(word => text.includes(word));
+        }
+
+        function getFilteredProjects() {
+            return projects.filter(projectMatchesFilter);
+        }
+
+        function renderProjectTags(list) {
+            if (!projectTagsEl) return;
+            projectTagsEl.innerHTML = '';
+            const tags = [];
+            list.forEach(project => project.tags.forEach(tag => {
+                if (!tags.includes(tag)) tags.push(tag);
+            }));
+            tags.sort().forEach(tag => {
+                const chip = document.createElement('button');
+                chip.type = 'button';
+                chip.className = 'project-tag';
+                chip.textContent = tag;
+                chip.setAttribute('aria-pressed', String(projectFilter.tags.has(tag)));
+                chip.addEventListener('click', () => {
+                    if (projectFilter.tags.has(tag)) projectFilter.tags.delete(tag);
+                    else projectFilter.tags.add(tag);
+                    chip.setAttribute('aria-pressed', String(projectFilter.tags.has(tag)));
+                    applyProjectFilter();
+                });
+                projectTagsEl.appendChild(chip);
+            });
+        }
+
+        function applyProjectFilter() {
+            const active = isProjectFilterActive();
+            const matches = getFilteredProjects();
+            if (projectsScroll) {
+                projectsScroll.querySelectorAll('.project-banner').forEach(card => {
+                    card.hidden = !matches.some(project => project.id === card.dataset.projectId);
+                });
+                let empty = projectsScroll.querySelector('.projects-empty.filtered');
+                if (projects.length > 0 && matches.length === 0) {
+                    if (!empty) {
+                        empty = document.createElement('div');
+                        empty.className = 'projects-empty filtered';
+                        empty.textContent = 'No projects match.';
+                        projectsScroll.appendChild(empty);
+                    }
+                } else if (empty) {
+                    empty.remove();
+                }
+            }
+            projectMarkers.children.forEach(sprite => {
+                sprite.userData.filterMatch = active ? matches.includes(sprite.userData.project) : null;
+            });
+            if (projectFilterCount) {
+                projectFilterCount.textContent = active ? matches.length + ' of ' + projects.length + ' projects' : projects.length + ' projects';
+            }
+            if (projectFitBtn) projectFitBtn.disabled = matches.length === 0;
+        }
+
+        // Frames every matching anchor from the current viewing direction.
+        function fitToFilteredProjects() {
+            const anchorPositions = getFilteredProjects().map(resolveProjectAnchor).filter(Boolean).map(anchor => anchor.position);
+            if (anchorPositions.length === 0) return Promise.resolve(false);
+            if (anchorPositions.length === 1) return flyToGalaxyPose(framingCameraFor(anchorPositions[0]), 1200);
+            const sphere = new THREE.Sphere().setFromPoints(anchorPositions);
+            // Whichever of the vertical and horizontal fields of view is narrower.
+            const halfFovY = THREE.MathUtils.degToRad(camera.fov / 2);
+            const halfFov = Math.min(halfFovY, Math.atan(Math.tan(halfFovY) * camera.aspect));
+            const distance = THREE.MathUtils.clamp(sphere.radius * FIT_MARGIN / Math.sin(halfFov), controls.minDistance, controls.maxDistance);
+            const viewDir = galaxyFrame.worldToLocal(camera.position.clone()).sub(sphere.center).normalize();
+            return flyToGalaxyPose({ position: sphere.center.clone().addScaledVector(viewDir, distance), target: sphere.center }, 1400);
+        }
+
+        if (projectSearch) listen(projectSearch, 'input', () => {
+            projectFilter.query = projectSearch.value.trim().toLowerCase();
+            applyProjectFilter();
+        });
+        if (projectFitBtn) listen(projectFitBtn, 'click', fitToFilteredProjects);
+
+        // --- Spatial index ---
+        // Built off the main thread once per generateGalaxy(); picking and anchor lookups
+        // fall back to exact linear scans until it arrives. The worker that built it keeps its
+        // own copy and stays up as pickWorker to answer hover picks.
+        let particleTree = null;
+        let particleTreeGeneration = 0;
+        let pickWorker = null;
+
+        function buildParticleTree() {
+            const generation = ++particleTreeGeneration;
+            particleTree = null;
+            if (pickWorker) {
+                pickWorker.terminate();
+                pickWorker = null;
+            }
+
+            const onIndexReady = (index) => {
+                if (generation !== particleTreeGeneration) return;
+                particleTree = index;
+                assignProjectAnchors();
+            };
+            const buildOnMainThread = () => {
+                if (generation !== particleTreeGeneration) return;
+                onIndexReady(SpatialIndex.build(geometry.getAttribute('position').array));
+            };
+
+            if (window.Worker) {
+                try {
+                    const positionsCopy = new Float32Array(geometry.getAttribute('position').array);
+                    const worker = new Worker(workerBase + 'spatialIndexWorker.js');
+                    worker.postMessage({ positions: positionsCopy.buffer }, [positionsCopy.buffer]);
+                    worker.onmessage = (m) => {
+                        if (m.data.type === 'raycast') {
+                            onHoverPickResult(m.data.id, m.data.hit);
+                            return;
+                        }
+                        if (generation !== particleTreeGeneration) {
+                            worker.terminate();
+                            return;
+                        }
+                        pickWorker = worker;
+                        onIndexReady(m.data.index);
+                    };
+                    worker.onerror = (err) => {
+                        worker.terminate();
+                        if (pickWorker === worker) pickWorker = null;
+                        buildOnMainThread();
+                    };
+                } catch (err) {
+                    buildOnMainThread();
+                }
+            } else {
+                setTimeout(buildOnMainThread, 50);
+            }
+        }
+
+        // Rebuilds everything derived from `parameters`: particles, star field, spatial index and anchors.
+        // With `morph`, a complete galaxy on screen morphs into the new one. Resolves true once
+        // the galaxy is complete and indexing has started.
+        function regenerateGalaxy(onProgress, morph = false) {
+            morph = morph && isGalaxyComplete();
+            if (!morph) {
+                projectAnchors.clear();
+                clearProjectMarkers();
+            }
+            particleTree = null;
+            particleTreeGeneration++; // drop any index still being built for the old galaxy
+            cameraAnimator.setAvoidRadius(parameters.radius * CORE_AVOID_FRACTION);
+            generateStarField();
+            return generateGalaxy(onProgress, morph).then(complete => {
+                if (!complete) return false;
+                if (morph) {
+                    // Anchor on the new galaxy right away (exact scan) so the markers ride the morph.
+                    projectAnchors.clear();
+                    assignProjectAnchors(true);
+                }
+                buildParticleTree();
+                return true;
+            });
+        }
+
+        // Switches to a layout preset, morphing from the current galaxy.
+        function setGalaxyLayout(layout) {
+            if (!LAYOUT_LABELS[layout] || layout === parameters.layout) return;
+            parameters.layout = layout;
+            if (layoutSelect) layoutSelect.value = layout;
+            renderGalaxyEditor();
+            clearSelection();
+            regenerateGalaxy(null, true);
+        }
+
+        const layoutSelect = byId('layout-select');
+        if (layoutSelect) {
+            Object.keys(LAYOUT_LABELS).forEach(layout => {
+                const option = document.createElement('option');
+                option.value = layout;
+                option.textContent = LAYOUT_LABELS[layout];
+                layoutSelect.appendChild(option);
+            });
+            layoutSelect.value = parameters.layout;
+            listen(layoutSelect, 'change', () => setGalaxyLayout(layoutSelect.value));
+        }
+
+        // --- Theme switching ---
+        const themeSelect = byId('theme-select');
+
+        // The galaxy's colours follow the theme until galaxy.config.json, config.parameters,
+        // setParameters or the editor set them; themedColorKeys are the ones still following it.
+        const THEME_COLOR_KEYS = ['insideColor', 'outsideColor'];
+        let themedColorKeys = THEME_COLOR_KEYS.slice();
+
+        function applyThemeGalaxyColors(target) {
+            themedColorKeys.forEach(key => { target[key] = theme[key]; });
+        }
+
+        function pinGalaxyColors(changes) {
+            themedColorKeys = themedColorKeys.filter(key => !(key in changes));
+        }
+
+        // Recolours everything for the theme `mode` resolves to. The galaxy morphs to its new
+        // colours; positions, anchors and the selection are unchanged.
+        function setThemeMode(mode, persist = true) {
+            themeMode = THEMES[mode] ? mode : 'auto';
+            if (persist) {
+                try {
+                    if (themeMode === 'auto') localStorage.removeItem(THEME_STORAGE_KEY);
+                    else localStorage.setItem(THEME_STORAGE_KEY, themeMode);
+                } catch (err) {}
+            }
+            if (themeSelect) themeSelect.value = themeMode;
+            const next = THEMES[resolveThemeName(themeMode)];
+            if (next === theme) return;
+            theme = next;
+
+            applyThemeCssVariables();
+            scene.background.set(theme.background);
+            if (selectedHelper) selectedHelper.userData.accentMaterials.forEach(m => m.color.set(theme.accent));
+            if (activeBeam) activeBeam.material.color.set(theme.accent2);
+            updateProjectMarkers();
+
+            applyThemeGalaxyColors(parameters);
+            renderGalaxyEditor();
+            if (points) regenerateGalaxy(null, true);
+        }
+
+        if (themeSelect) {
+            const auto = document.createElement('option');
+            auto.value = 'auto';
+            auto.textContent = 'Auto';
+            themeSelect.appendChild(auto);
+            Object.keys(THEMES).forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = THEMES[name].label;
+                themeSelect.appendChild(option);
+            });
+            themeSelect.value = themeMode;
+            listen(themeSelect, 'change', () => setThemeMode(themeSelect.value));
+        }
+
+        // In auto mode, follow the system as it changes.
+        [colorSchemeQuery, contrastQuery].forEach(query => {
+            if (query && query.addEventListener) listen(query, 'change', () => {
+                if (themeMode === 'auto') setThemeMode('auto', false);
+            });
+        });
+
+        // --- Adaptive quality ---
+        // Frame time is averaged over one-second windows. Auto mode drops a tier after two slow
+        // windows and climbs one after five fast ones; a tier it had to leave stays off-limits
+        // for a while so it doesn't flap between two tiers.
+        const SLOW_FRAME_MS = 1000 / 45;
+        const FAST_FRAME_MS = 1000 / 57;
+        const QUALITY_COOLDOWN_S = 3;
+        const QUALITY_RETRY_S = 30;
+        const qualityDebug = byId('quality-debug');
+        const qualityStats = { time: 0, frames: 0, slowWindows: 0, fastWindows: 0, fps: 0, lastChange: 0 };
+        const qualityBlockedUntil = {};
+
+        function applyParticleBudget() {
+            if (!geometry) return;
+            const budget = Math.floor(parameters.count * QUALITY_TIERS[qualityTier].particleFraction);
+            geometry.setDrawRange(0, Math.min(galaxyLoadedCount, budget));
+        }
+
+        function setQualityTier(tier) {
+            qualityTier = tier;
+            const settings = QUALITY_TIERS[tier];
+            renderer.setPixelRatio(getTargetPixelRatio());
+            resizePostProcessing();
+            updateParticleScale();
+            applyParticleBudget();
+            if (starField) {
+                const starCount = starField.geometry.getAttribute('position').count;
+                starField.geometry.setDrawRange(0, Math.floor(starCount * settings.starFraction));
+            }
+            updateAutoRotate();
+            if (qualityMode === 'auto') {
+                try { localStorage.setItem(QUALITY_STORAGE_KEY, tier); } catch (err) {}
+            }
+            updateQualityDebug();
+        }
+
+        // --- Guided tour ---
+        // Flies through the projects in manifest order, orbiting each anchor for its dwell time.
+        // Manifest "tour" settings apply to every stop; a project's own "tour" overrides them.
+        // Any input outside the tour bar ends the tour.
+        const TOUR_ORBIT_AXIS = new THREE.Vector3(0, 1, 0);
+        let tourSettings = Object.assign({}, ProjectManifest.DEFAULT_TOUR);
+        const tourControls = byId('tour-controls');
+        const tourLabel = byId('tour-label');
+        const tourPauseBtn = byId('tour-pause');
+        const tour = { active: false, paused: false, index: -1, arrived: false, elapsed: 0 };
+
+        function goToTourStop(i) {
+            tour.index = (i + projects.length) % projects.length;
+            tour.elapsed = 0;
+            tour.arrived = false;
+            const project = projects[tour.index];
+            const stop = tour.index;
+            // Replace rather than push, so a long tour doesn't flood the back button. The panel
+            // is closed during a tour, so the beam comes from the tour bar instead of the card.
+            selectProject(project, { replaceRoute: true, beamFrom: tourControls }).then(() => {
+                if (tour.index === stop) tour.arrived = true;
+            });
+            if (tourLabel) tourLabel.textContent = (tour.index + 1) + ' / ' + projects.length + ' · ' + project.title;
+        }
+
+        function setTourPaused(paused) {
+            tour.paused = paused;
+            if (tourPauseBtn) {
+                tourPauseBtn.textContent = paused ? 'Resume' : 'Pause';
+                tourPauseBtn.setAttribute('aria-pressed', String(paused));
+            }
+        }
+
+        function startTour() {
+            if (projects.length === 0) return;
+            closeLeftPanel();
+            closeContactPanel();
+            tour.active = true;
+            setTourPaused(false);
+            if (tourControls) tourControls.classList.add('active');
+            goToTourStop(0);
+        }
+
+        function stopTour() {
+            if (!tour.active) return;
+            tour.active = false;
+            if (tourControls) tourControls.classList.remove('active');
+        }
+
+        // Dwell time only counts once the camera has arrived at the stop.
+        function updateTour(delta) {
+            if (!tour.active || tour.paused || !tour.arrived) return;
+            delta = Math.min(delta, 0.25); // don't skip stops after a stall or a hidden tab
+            tour.elapsed += delta;
+            const stop = Object.assign({}, tourSettings, projects[tour.index].tour);
+            if (!reducedMotion) {
+                const offset = camera.position.clone().sub(controls.target);
+                offset.applyAxisAngle(TOUR_ORBIT_AXIS, THREE.MathUtils.degToRad(stop.orbitSpeed) * delta);
+                camera.position.copy(controls.target).add(offset);
+            }
+            if (tour.elapsed * 1000 < stop.dwell) return;
+            if (tour.index === projects.length - 1 && !tourSettings.loop) stopTour();
+            else goToTourStop(tour.index + 1);
+        }
+
+        function stopTourOnInput(e) {
+            const fromTourBar = tourControls && e.target instanceof Node && tourControls.contains(e.target);
+            if (tour.active && !fromTourBar) stopTour();
+        }
+        ['pointerdown', 'wheel', 'keydown', 'touchstart'].forEach(type => {
+            listen(fullWindow ? window : container, type, stopTourOnInput, { capture: true, passive: true });
+        });
+
+        const tourPrevBtn = byId('tour-prev');
+        const tourNextBtn = byId('tour-next');
+        const tourStopBtn = byId('tour-stop');
+        const navTourLink = byId('nav-tour-link');
+        if (tourPrevBtn) listen(tourPrevBtn, 'click', () => goToTourStop(tour.index - 1));
+        if (tourNextBtn) listen(tourNextBtn, 'click', () => goToTourStop(tour.index + 1));
+        if (tourPauseBtn) listen(tourPauseBtn, 'click', () => setTourPaused(!tour.paused));
+        if (tourStopBtn) listen(tourStopBtn, 'click', stopTour);
+        if (navTourLink) listen(navTourLink, 'click', (e) => {
+            e.preventDefault();
+            startTour();
+        });
+
+        // --- Galaxy spin ---
+        // While a selection is held and spin isn't frozen, the camera rides along with the
+        // galaxy so the selected star stays put on screen. Flights to a selection are made in
+        // galaxy space for the same reason.
+        const GALAXY_SPIN_AXIS = new THREE.Vector3(0, 1, 0);
+        const hudFreeze = byId('hud-freeze');
+
+        function updateGalaxySpin(delta) {
+            if (!(freezeSpinOnSelect && selectedAnchorPos) && !reducedMotion) {
+                const step = delta * GALAXY_SPIN_SPEED;
+                galaxySpin += step;
+                if (selectedAnchorPos && !cameraAnimator.active) {
+                    camera.position.applyAxisAngle(GALAXY_SPIN_AXIS, step);
+                    controls.target.applyAxisAngle(GALAXY_SPIN_AXIS, step);
+                }
+            }
+            if (points) points.rotation.y = galaxySpin;
+            galaxyFrame.rotation.y = galaxySpin;
+            galaxyFrame.updateMatrixWorld();
+        }
+
+        function setFreezeSpinOnSelect(freeze) {
+            freezeSpinOnSelect = freeze;
+            if (hudFreeze) hudFreeze.setAttribute('aria-pressed', String(freeze));
+        }
+
+        if (hudFreeze) listen(hudFreeze, 'click', () => setFreezeSpinOnSelect(!freezeSpinOnSelect));
+
+        // --- Particle highlights ---
+        // The selected anchor and the particle under the pointer glow in the galaxy shader. Each
+        // spot fades in and out rather than switching, and stays where it was while fading out.
+        const HIGHLIGHT_FADE_SPEED = 4; // strength per second
+        let hoveredParticlePos = null; // galaxy space
+
+        function fadeHighlight(uniform, pos, delta) {
+            const target = pos ? 1 : 0;
+            if (pos) uniform.value.set(pos.x, pos.y, pos.z, uniform.value.w);
+            const step = delta * HIGHLIGHT_FADE_SPEED;
+            uniform.value.w += Math.max(-step, Math.min(step, target - uniform.value.w));
+        }
+
+        let twinkleTime = 0;
+
+        function updateParticleHighlights(delta) {
+            if (!reducedMotion) twinkleTime += delta;
+            if (starField) starField.material.uniforms.uTime.value = twinkleTime;
+            if (!material) return;
+            material.uniforms.uTime.value = twinkleTime;
+            fadeHighlight(material.uniforms.uSelected, selectedAnchorPos, delta);
+            fadeHighlight(material.uniforms.uHovered, hoveredParticlePos, delta);
+        }
+
+        // --- Post-processing ---
+        // On tiers with effects, the core, the reticle and the beam glow (the galaxy's points
+        // are on the bloom layer but only draw their core in that pass), and while the camera
+        // flies to a selection everything away from it is softened, sharpening on arrival.
+        const CORE_BLOOM_FRACTION = 0.2; // of the galaxy radius
+        const FOCUS_PULL_RATE = 4; // per second, towards fully blurred or fully sharp
+        const focusPoint = new THREE.Vector3();
+        let focusAmount = 0;
+
+        function effectsActive() {
+            return !!postProcessing && QUALITY_TIERS[qualityTier].effects;
+        }
+
+        function updateFocusPull(delta) {
+            const pulling = cameraAnimator.active && selectedAnchorPos && !reducedMotion;
+            focusAmount += ((pulling ? 1 : 0) - focusAmount) * Math.min(1, delta * FOCUS_PULL_RATE);
+            if (focusAmount < 0.01) focusAmount = 0;
+            if (selectedAnchorPos) galaxyFrame.localToWorld(focusPoint.copy(selectedAnchorPos)).project(camera);
+            postProcessing.setFocus(focusPoint.x * 0.5 + 0.5, focusPoint.y * 0.5 + 0.5, focusAmount);
+        }
+
+        const bloomHooks = {
+            beforeBloom() {
+                if (material) material.uniforms.uCoreRadius.value = parameters.radius * CORE_BLOOM_FRACTION;
+            },
+            afterBloom() {
+                if (material) material.uniforms.uCoreRadius.value = 0;
+            }
+        };
+
+        function renderFrame(delta) {
+            if (!effectsActive()) {
+                renderer.render(scene, camera);
+                return;
+            }
+            updateFocusPull(delta);
+            postProcessing.render(scene, camera, bloomHooks);
+        }
+
+        // --- Animation loop ---
+        // No frames are requested while the tab is hidden or the canvas is scrolled out of view.
+        const clock = new THREE.Clock();
+        let animationFrameId = null;
+        let canvasOnScreen = true;
+        let contextLost = false; // see Context loss
+
+        function shouldRender() {
+            return !destroyed && !contextLost && !document.hidden && canvasOnScreen;
+        }
+
+        function resumeRendering() {
+            if (animationFrameId !== null || !shouldRender()) return;
+            clock.getDelta(); // drop the time spent paused
+            animationFrameId = requestAnimationFrame(animate);
+        }
+
+        function animate() {
+            animationFrameId = null;
+            if (!shouldRender()) return;
+            const delta = clock.getDelta();
+            const elapsedTime = clock.getElapsedTime();
+            animationFrameId = requestAnimationFrame(animate);
+            monitorFrameTime(delta, elapsedTime);
+            updateTour(delta);
+
+            updateGalaxySpin(delta);
+            updateGalaxyMorph(performance.now());
+            updateParticleHighlights(delta);
+            if (starField && !reducedMotion) starField.rotation.y += delta * 0.005;
+            animateProjectMarkers();
+
+            // Reticle Animation
+            if (selectedHelper && selectedHelper.visible && selectedHelper.userData.animate && !reducedMotion) {
+                selectedHelper.userData.animate(delta);
+            }
+
+            // Floating HUD Positioning
+            if (selectedAnchorPos && hudContainer && hudContainer.classList.contains('visible')) {
+                const vector = galaxyFrame.localToWorld(selectedAnchorPos.clone());
+                vector.project(camera);
+
+                // Hide if behind camera
+                if (vector.z > 1) {
+                     hudContainer.style.opacity = 0;
+                } else {
+                     // Only force opacity 1 if visible class is active
+                     if(hudContainer.classList.contains('visible')) {
+                        hudContainer.style.opacity = 1;
+                     }
+
+                     const rect = renderer.domElement.getBoundingClientRect();
+                     const x = rect.left + (vector.x * .5 + .5) * rect.width;
+                     const y = rect.top - (vector.y * .5 - .5) * rect.height;
+
+                     hudDot.setAttribute('cx', x);
+                     hudDot.setAttribute('cy', y);
+
+                     // Position window offset
+                     const winX = Math.min(x + 60, window.innerWidth - 300);
+                     const winY = Math.max(y - 150, 80);
+
+                     hudWindow.style.left = winX + 'px';
+                     hudWindow.style.top = winY + 'px';
+
+                     hudLine.setAttribute('x1', x);
+                     hudLine.setAttribute('y1', y);
+                     hudLine.setAttribute('x2', winX);
+                     hudLine.setAttribute('y2', winY + 20);
+                }
+            }
+
+            cameraAnimator.update();
+            controls.update();
+            renderFrame(delta);
+        }
+        animate();
+
+        listen(document, 'visibilitychange', resumeRendering);
+        if (window.IntersectionObserver) {
+            const visibilityObserver = new IntersectionObserver(entries => {
+                canvasOnScreen = entries[entries.length - 1].isIntersecting;
+                resumeRendering();
+            });
+            visibilityObserver.observe(renderer.domElement);
+            cleanups.push(() => visibilityObserver.disconnect());
+        }
+        cleanups.push(() => {
+            cancelAnimationFrame(animationFrameId);
+            animationFrameId = null;
+        });
+
+        // --- Context loss ---
+        // The browser can take the WebGL context away (GPU reset, driver update, too many
+        // tabs). Rendering stops until it is restored; three.js uploads the geometry and
+        // shaders again by itself, so only the post-processing targets need resetting. If it
+        // isn't back in time, or keeps being lost, the instance emits 'failed' and destroys
+        // itself so the page can show something else.
+        const CONTEXT_RESTORE_TIMEOUT_MS = 5000;
+        const CONTEXT_LOSS_LIMIT = 3; // losses within CONTEXT_LOSS_WINDOW_MS before giving up
+        const CONTEXT_LOSS_WINDOW_MS = 60 * 1000;
+        const contextLosses = [];
+        let contextRestoreTimer = null;
+
+        function failInstance(reason) {
+            emit('failed', { reason });
+            destroy();
+        }
+
+        listen(renderer.domElement, 'webglcontextlost', (event) => {
+            event.preventDefault(); // without this the browser never restores the context
+            contextLost = true;
+            const now = performance.now();
+            contextLosses.push(now);
+            while (now - contextLosses[0] > CONTEXT_LOSS_WINDOW_MS) contextLosses.shift();
+            if (contextLosses.length >= CONTEXT_LOSS_LIMIT) {
+                failInstance('the graphics context keeps being lost');
+                return;
+            }
+            clearTimeout(contextRestoreTimer);
+            contextRestoreTimer = setTimeout(() => failInstance('the graphics context was lost'), CONTEXT_RESTORE_TIMEOUT_MS);
+        });
+
+        listen(renderer.domElement, 'webglcontextrestored', () => {
+            clearTimeout(contextRestoreTimer);
+            contextLost = false;
+            if (postProcessing) postProcessing.resetTargets();
+            resumeRendering();
+        });
+
+        // --- Motion policy switching ---
+        const motionToggle = byId('motion-toggle');
+
+        function applyMotionPolicy() {
+            styleRoot.classList.toggle('reduced-motion', reducedMotion);
+            if (motionToggle) motionToggle.setAttribute('aria-pressed', String(reducedMotion));
+            cameraAnimator.setInstant(reducedMotion);
+            updateAutoRotate();
+        }
+
+        // An override that matches the system setting is dropped, so the page goes back to
+        // following the system.
+        function setReducedMotion(reduce) {
+            motionMode = reduce === resolveReducedMotion('auto') ? 'auto' : (reduce ? 'reduced' : 'full');
+            try {
+                if (motionMode === 'auto') localStorage.removeItem(MOTION_STORAGE_KEY);
+                else localStorage.setItem(MOTION_STORAGE_KEY, motionMode);
+            } catch (err) {}
+            reducedMotion = reduce;
+            applyMotionPolicy();
+        }
+
+        if (motionToggle) listen(motionToggle, 'click', () => setReducedMotion(!reducedMotion));
+        if (reducedMotionQuery && reducedMotionQuery.addEventListener) {
+            listen(reducedMotionQuery, 'change', () => {
+                if (motionMode !== 'auto') return;
+                reducedMotion = resolveReducedMotion('auto');
+                applyMotionPolicy();
+            });
+        }
+        applyMotionPolicy();
+
+        // --- Resize ---
+        // Follows the window on document.body and the container (via ResizeObserver) elsewhere.
+        function resizeToView() {
+            const size = getViewSize();
+            camera.aspect = size.width / size.height;
+            camera.updateProjectionMatrix();
+            renderer.setSize(size.width, size.height);
+            renderer.setPixelRatio(getTargetPixelRatio());
+            resizePostProcessing();
+            updateParticleScale();
+        }
+
+        if (fullWindow || !window.ResizeObserver) {
+            listen(window, 'resize', resizeToView);
+        } else {
+            const resizeObserver = new ResizeObserver(resizeToView);
+            resizeObserver.observe(container);
+            cleanups.push(() => resizeObserver.disconnect());
+        }
+
+
+        function updateQualityDebug() {
+            if (!qualityDebug || qualityDebug.hidden) return;
+            const fps = qualityStats.fps ? qualityStats.fps.toFixed(0) : '--';
+            qualityDebug.textContent = 'FPS ' + fps + ' · ' + qualityTier.toUpperCase() + (qualityMode === 'auto' ? ' (auto)' : '') + (effectsActive() ? ' · FX' : '');
+        }
+
+        function monitorFrameTime(delta, now) {
+            if (delta > 0.25) return; // tab switch or a stall, not representative
+            qualityStats.time += delta;
+            qualityStats.frames++;
+            if (qualityStats.time < 1) return;
+
+            const avgMs = qualityStats.time / qualityStats.frames * 1000;
+            qualityStats.fps = qualityStats.frames / qualityStats.time;
+            qualityStats.time = 0;
+            qualityStats.frames = 0;
+            updateQualityDebug();
+            if (qualityMode !== 'auto' || now - qualityStats.lastChange < QUALITY_COOLDOWN_S) return;
+
+            qualityStats.slowWindows = avgMs > SLOW_FRAME_MS ? qualityStats.slowWindows + 1 : 0;
+            qualityStats.fastWindows = avgMs < FAST_FRAME_MS ? qualityStats.fastWindows + 1 : 0;
+            const i = QUALITY_ORDER.indexOf(qualityTier);
+            let next = null;
+            if (qualityStats.slowWindows >= 2 && i > 0) {
+                qualityBlockedUntil[qualityTier] = now + QUALITY_RETRY_S;
+                next = QUALITY_ORDER[i - 1];
+            } else if (qualityStats.fastWindows >= 5 && i < QUALITY_ORDER.length - 1 && !(qualityBlockedUntil[QUALITY_ORDER[i + 1]] > now)) {
+                next = QUALITY_ORDER[i + 1];
+            }
+            if (next) {
+                qualityStats.lastChange = now;
+                qualityStats.slowWindows = 0;
+                qualityStats.fastWindows = 0;
+                setQualityTier(next);
+            }
+        }
+
+        if (qualityDebug) {
+            qualityDebug.hidden = !(config.debug || config.dev);
+            updateQualityDebug();
+        }
+
+        // --- Picking utilities ---
+        function getPointerCoords(event) {
+            if (event.touches && event.touches.length > 0) return { x: event.touches[0].clientX, y: event.touches[0].clientY };
+            return { x: event.clientX, y: event.clientY };
+        }
+
+        // Pointer positions are client coordinates; the canvas needn't start at the page corner.
+        function clientToNdc(x, y) {
+            const rect = renderer.domElement.getBoundingClientRect();
+            return new THREE.Vector2((x - rect.left) / rect.width * 2 - 1, -(y - rect.top) / rect.height * 2 + 1);
+        }
+
+        function getRayFromPointer(x, y) {
+            raycaster.setFromCamera(clientToNdc(x, y), camera);
+            return { origin: raycaster.ray.origin.clone(), dir: raycaster.ray.direction.clone() };
+        }
+
+        function rayToGalaxySpace(worldOrigin, worldDir) {
+            return {
+                origin: galaxyFrame.worldToLocal(worldOrigin.clone()),
+                dir: worldDir.clone().transformDirection(galaxyFrame.matrixWorld.clone().invert())
+            };
+        }
+
+        // Takes a world-space ray; the hit position is in galaxy space.
+        function findNearestParticleToRay(worldOrigin, worldDir, maxPerpDist = 0.6) {
+            const { origin, dir } = rayToGalaxySpace(worldOrigin, worldDir);
+            const limit = getDrawnParticleCount();
+            if (particleTree) {
+                const hit = SpatialIndex.raycast(particleTree, origin.x, origin.y, origin.z, dir.x, dir.y, dir.z, maxPerpDist, limit);
+                return hit && { index: hit.index, position: new THREE.Vector3(hit.x, hit.y, hit.z), perpDist2: hit.perpDist2 };
+            }
+            // Index still building: exact linear scan.
+            const arr = geometry.getAttribute('position').array.subarray(0, limit * 3);
+            let bestIndex = -1;
+            let bestScore = maxPerpDist * maxPerpDist;
+            for (let i = 0, j = 0; j < arr.length; i++, j += 3) {
+                const vx = arr[j] - origin.x;
+                const vy = arr[j + 1] - origin.y;
+                const vz = arr[j + 2] - origin.z;
+                const t = vx * dir.x + vy * dir.y + vz * dir.z;
+                if (t <= 0) continue;
+                const dx = vx - dir.x * t;
+                const dy = vy - dir.y * t;
+                const dz = vz - dir.z * t;
+                const perpDist2 = dx*dx + dy*dy + dz*dz;
+                if (perpDist2 < bestScore) {
+                    bestScore = perpDist2;
+                    bestIndex = i;
+                }
+            }
+            if (bestIndex === -1) return null;
+            const j = bestIndex * 3;
+            return { index: bestIndex, position: new THREE.Vector3(arr[j], arr[j + 1], arr[j + 2]), perpDist2: bestScore };
+        }
+
+        // --- Beam creation from banner to anchor ---
+        let activeBeam = null;
+        function getWorldPointFromScreen(screenX, screenY, distanceFromCamera = 1.2) {
+            const ndc = clientToNdc(screenX, screenY);
+            const vec = new THREE.Vector3(ndc.x, ndc.y, 0.5).unproject(camera);
+            const dir = vec.sub(camera.position).normalize();
+            return camera.position.clone().add(dir.multiplyScalar(distanceFromCamera));
+        }
+
+        function createBeamFromCardToAnchor(card, anchorPos) {
+            if (activeBeam) {
+                scene.remove(activeBeam);
+                try { activeBeam.geometry.dispose(); activeBeam.material.dispose(); } catch (e) {}
+                activeBeam = null;
+            }
+            const rect = card.getBoundingClientRect();
+            const screenX = rect.left + rect.width / 2;
+            const screenY = rect.top + rect.height / 2;
+            const from = getWorldPointFromScreen(screenX, screenY, 1.2);
+            const to = galaxyFrame.localToWorld(anchorPos.clone());
+            const positions = new Float32Array([from.x, from.y, from.z, to.x, to.y, to.z]);
+            const geom = new THREE.BufferGeometry();
+            geom.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+            const mat = new THREE.LineBasicMaterial({ color: theme.accent2, transparent: true, opacity: 0.0 });
+            const line = PostProcessing.enableBloom(new THREE.Line(geom, mat));
+            scene.add(line);
+            activeBeam = line;
+
+            const fadeIn = 250, hold = 900, fadeOut = 600;
+            const start = performance.now();
+            function animateBeam(now) {
+                const elapsed = now - start;
+                if (!activeBeam || activeBeam !== line) return;
+                // Keep the far end on the star as the galaxy turns.
+                galaxyFrame.localToWorld(to.copy(anchorPos));
+                const attr = line.geometry.getAttribute('position');
+                attr.setXYZ(1, to.x, to.y, to.z);
+                attr.needsUpdate = true;
+                if (elapsed < fadeIn) activeBeam.material.opacity = (elapsed / fadeIn) * 0.95;
+                else if (elapsed < fadeIn + hold) activeBeam.material.opacity = 0.95;
+                else if (elapsed < fadeIn + hold + fadeOut) activeBeam.material.opacity = 0.95 * (1 - (elapsed - (fadeIn + hold)) / fadeOut);
+                else {
+                    scene.remove(activeBeam);
+                    try { activeBeam.geometry.dispose(); activeBeam.material.dispose(); } catch (e) {}
+                    activeBeam = null;
+                    return;
+                }
+                requestAnimationFrame(animateBeam);
+            }
+            requestAnimationFrame(animateBeam);
+        }
+
+        // --- Input handling ---
+        let isMiddleDown = false;
+        let middleLast = { x: 0, y: 0 };
+        const PAN_SPEED = 0.0025;
+
+        // Moves the camera along its view direction, clamped to the controls' distance limits.
+        function dollyCamera(amount) {
+            cameraAnimator.cancel();
+            const dir = new THREE.Vector3();
+            camera.getWorldDirection(dir);
+            camera.position.addScaledVector(dir, amount);
+            const dist = camera.position.distanceTo(controls.target);
+            if (dist < controls.minDistance) {
+                const correction = camera.position.clone().sub(controls.target).normalize().multiplyScalar(controls.minDistance - dist);
+                camera.position.add(correction);
+            } else if (dist > controls.maxDistance) {
+                const correction = camera.position.clone().sub(controls.target).normalize().multiplyScalar(controls.maxDistance - dist);
+                camera.position.add(correction);
+            }
+            controls.update();
+        }
+
+        // Slides camera and target together by a screen-space offset in pixels.
+        function panCamera(dx, dy) {
+            cameraAnimator.cancel();
+            const offset = camera.position.clone().sub(controls.target);
+            const targetDistance = offset.length();
+            const panX = -dx * PAN_SPEED * targetDistance;
+            const panY = dy * PAN_SPEED * targetDistance;
+            const cameraMatrix = new THREE.Matrix4().extractRotation(camera.matrix);
+            const right = new THREE.Vector3(1, 0, 0).applyMatrix4(cameraMatrix).normalize();
+            const up = new THREE.Vector3(0, 1, 0).applyMatrix4(cameraMatrix).normalize();
+            const panOffset = new THREE.Vector3();
+            panOffset.addScaledVector(right, panX);
+            panOffset.addScaledVector(up, panY);
+            controls.target.add(panOffset);
+            camera.position.add(panOffset);
+            controls.update();
+        }
+
+        listen(renderer.domElement, 'pointerdown', (event) => {
+            const isTouch = event.pointerType === 'touch' || event.type === 'touchstart';
+            const button = (isTouch ? 0 : (event.button === undefined ? 0 : event.button));
+
+            if (button === 1) {
+                isMiddleDown = true;
+                const p = getPointerCoords(event);
+                middleLast.x = p.x; middleLast.y = p.y;
+                autoRotateStoppedByUser = true;
+                updateAutoRotate();
+                return;
+            }
+
+            if (button === 2) clearSelection();
+        });
+
+        // Selects the marker or star at a screen point; options go to selectProject/selectStar.
+        // Stars can't be picked mid-morph, as for hover: the index has them where they end up.
+        function selectAtPoint(x, y, options = {}) {
+            const markedProject = pickProjectMarker(x, y);
+            if (markedProject) {
+                selectProject(markedProject, options);
+                return;
+            }
+            if (!points || !geometry || galaxyMorphStart >= 0) return;
+            const { origin, dir } = getRayFromPointer(x, y);
+            const hit = findNearestParticleToRay(origin, dir);
+            if (hit) selectStar(hit.index, options);
+        }
+
+        function resetView() {
+            clearSelection();
+            cameraAnimator.flyTo(HOME_CAMERA_POSITION, new THREE.Vector3(), { duration: 1200 });
+        }
+
+        // Clicks and taps select on release, and only if the pointer stayed put, so orbiting
+        // never picks. Long press opens the HUD where the camera is; double tap resets the view.
+        // Pinch and two-finger pan replace OrbitControls' own two-finger handling so they share
+        // the wheel's distance clamping and the middle-drag pan.
+        const gestures = TouchGestures.create(renderer.domElement, {
+            onTap: (x, y) => selectAtPoint(x, y),
+            onLongPress: (x, y) => selectAtPoint(x, y, { cam: getGalaxyCameraPose(), duration: 0 }),
+            onDoubleTap: resetView,
+            onPinchStart: () => {
+                autoRotateStoppedByUser = true;
+                updateAutoRotate();
+            },
+            onPinch: (scale) => {
+                const distance = camera.position.distanceTo(controls.target);
+                dollyCamera(distance - distance / scale);
+            },
+            onPan: panCamera,
+            onPinchEnd: syncCameraToRoute
+        });
+        cleanups.push(() => gestures.destroy());
+
+        // --- Hover preview ---
+        // While the pointer rests over the galaxy, a tooltip names what a click would select:
+        // the project when over a marker or near an anchor, otherwise the nearest star node.
+        // Picks are throttled (the last position is always picked) and go to pickWorker once
+        // the spatial index exists. Nothing is picked while dragging, on touch, or mid-morph,
+        // when the drawn particles are not where the index has them.
+        const HOVER_PICK_MS = 60;
+        const HOVER_PICK_DIST = 0.3;
+        const HOVER_ANCHOR_RADIUS = 0.25; // galaxy units
+        const hoverTooltip = byId('hover-tooltip');
+        const hoverTitle = byId('hover-title');
+        const hoverSub = byId('hover-sub');
+        const hover = { active: false, x: 0, y: 0, lastPick: 0, timer: null, pickId: 0, key: null };
+
+        function findProjectNearParticle(pos) {
+            let best = null;
+            let bestDist = HOVER_ANCHOR_RADIUS;
+            projects.forEach(project => {
+                const anchor = projectAnchors.get(project.id);
+                if (!anchor) return;
+                const d = anchor.position.distanceTo(pos);
+                if (d < bestDist) {
+                    bestDist = d;
+                    best = project;
+                }
+            });
+            return best;
+        }
+
+        function positionHoverTooltip() {
+            const winX = Math.min(hover.x + 16, window.innerWidth - hoverTooltip.offsetWidth - 8);
+            const winY = Math.min(hover.y + 16, window.innerHeight - hoverTooltip.offsetHeight - 8);
+            hoverTooltip.style.left = winX + 'px';
+            hoverTooltip.style.top = winY + 'px';
+        }
+
+        // target: { project } or { index, position } (galaxy space), or null to hide.
+        function showHoverTarget(target) {
+            const project = target && (target.project || findProjectNearParticle(target.position));
+            let detail = null;
+            if (project) {
+                const anchor = projectAnchors.get(project.id);
+                hoveredParticlePos = anchor ? anchor.position.clone() : null;
+                detail = { type: 'project', id: project.id, project };
+                if (hoverTooltip) {
+                    hoverTitle.textContent = project.title;
+                    hoverSub.textContent = project.subtitle || 'Project';
+                }
+            } else if (target) {
+                hoveredParticlePos = target.position.clone();
+                detail = { type: 'star', index: target.index };
+                if (hoverTooltip) {
+                    hoverTitle.textContent = 'Star Node ' + target.index;
+                    hoverSub.textContent = 'Star node';
+                }
+            } else {
+                hoveredParticlePos = null;
+            }
+            if (hoverTooltip) {
+                hoverTooltip.classList.toggle('visible', !!target);
+                if (target) positionHoverTooltip();
+            }
+            renderer.domElement.style.cursor = target ? 'pointer' : '';
+
+            // 'hover' only fires when what is under the pointer changes.
+            const key = detail && (detail.type === 'project' ? 'project:' + detail.id : 'star:' + detail.index);
+            if (key !== hover.key) {
+                hover.key = key;
+                emit('hover', detail);
+            }
+        }
+
+        function clearHover() {
+            hover.active = false;
+            hover.pickId++;
+            clearTimeout(hover.timer);
+            hover.timer = null;
+            showHoverTarget(null);
+        }
+
+        function pickHoverTarget() {
+            hover.timer = null;
+            hover.lastPick = performance.now();
+            if (!hover.active) return;
+            const project = pickProjectMarker(hover.x, hover.y);
+            if (project) {
+                showHoverTarget({ project });
+                return;
+            }
+            if (!points || !geometry || galaxyMorphStart >= 0) {
+                showHoverTarget(null);
+                return;
+            }
+            const { origin, dir } = getRayFromPointer(hover.x, hover.y);
+            if (pickWorker && particleTree) {
+                const ray = rayToGalaxySpace(origin, dir);
+                pickWorker.postMessage({
+                    type: 'raycast', id: ++hover.pickId,
+                    ox: ray.origin.x, oy: ray.origin.y, oz: ray.origin.z,
+                    dx: ray.dir.x, dy: ray.dir.y, dz: ray.dir.z,
+                    maxPerpDist: HOVER_PICK_DIST, limit: getDrawnParticleCount()
+                });
+                return;
+            }
+            const hit = findNearestParticleToRay(origin, dir, HOVER_PICK_DIST);
+            showHoverTarget(hit && { index: hit.index, position: hit.position });
+        }
+
+        // Replies to anything but the latest pick are stale.
+        function onHoverPickResult(id, hit) {
+            if (id !== hover.pickId || !hover.active || galaxyMorphStart >= 0) return;
+            showHoverTarget(hit && { index: hit.index, position: new THREE.Vector3(hit.x, hit.y, hit.z) });
+        }
+
+        listen(renderer.domElement, 'pointermove', (event) => {
+            if (event.pointerType === 'touch' || event.buttons !== 0) {
+                if (hover.active) clearHover();
+                return;
+            }
+            hover.active = true;
+            hover.x = event.clientX;
+            hover.y = event.clientY;
+            if (hoverTooltip && hoverTooltip.classList.contains('visible')) positionHoverTooltip();
+            if (hover.timer === null) {
+                hover.timer = setTimeout(pickHoverTarget, Math.max(0, HOVER_PICK_MS - (performance.now() - hover.lastPick)));
+            }
+        });
+
+        listen(renderer.domElement, 'pointerleave', clearHover);
+        listen(renderer.domElement, 'pointerdown', clearHover);
+        listen(renderer.domElement, 'wheel', clearHover, { passive: true });
+
+        listen(window, 'pointermove', (event) => {
+            if (!isMiddleDown) return;
+            const p = getPointerCoords(event);
+            const dx = p.x - middleLast.x;
+            const dy = p.y - middleLast.y;
+            middleLast.x = p.x; middleLast.y = p.y;
+            panCamera(dx, dy);
+        });
+
+        listen(window, 'pointerup', (event) => {
+            const isTouch = event.pointerType === 'touch' || event.type === 'touchend';
+            const button = (isTouch ? 0 : (event.button === undefined ? 0 : event.button));
+            if (button === 1 && isMiddleDown) {
+                isMiddleDown = false;
+                syncCameraToRoute();
+            }
+        });
+
+        listen(renderer.domElement, 'contextmenu', (evt) => {
+            const path = evt.composedPath ? evt.composedPath() : (evt.path || []);
+            for (const el of path) {
+                if (!el) continue;
+                if (el.id === 'left-panel' || el.id === 'contact-panel' || el.id === 'projects-scroll' || el.id === 'hud-window' || (el.classList && el.classList.contains('project-banner'))) {
+                    return; 
+                }
+            }
+            evt.preventDefault();
+        });
+
+        // --- Selection ---
+        // pos is in galaxy space.
+        function placeReticle(pos) {
+            removeReticle();
+            selectedHelper = createSciFiReticle();
+            selectedHelper.position.copy(pos);
+            galaxyFrame.add(selectedHelper);
+            selectedAnchorPos = pos.clone();
+        }
+
+        // Galaxy-space camera pose for looking at pos (galaxy space) from the current viewing direction.
+        function framingCameraFor(pos) {
+            const cameraLocal = galaxyFrame.worldToLocal(camera.position.clone());
+            const camDir = cameraLocal.sub(pos).normalize();
+            return { position: pos.clone().add(camDir.multiplyScalar(2.2)), target: pos.clone() };
+        }
+
+        // Flies to a galaxy-space camera pose.
+        function flyToGalaxyPose(cam, duration) {
+            return cameraAnimator.flyTo(cam.position, cam.target, { duration, space: galaxyFrame });
+        }
+
+        // Bumped by every selection change, so a flight that lands late can tell it was superseded.
+        let selectionId = 0;
+        let currentSelection = null; // what the last 'select' event reported
+
+        function setCurrentSelection(detail) {
+            currentSelection = detail;
+            emit(detail ? 'select' : 'deselect', detail || undefined);
+        }
+
+        function clearSelection() {
+            selectionId++;
+            if (currentSelection) setCurrentSelection(null);
+            removeReticle();
+            if (activeBeam) {
+                scene.remove(activeBeam);
+                disposeObject(activeBeam);
+                activeBeam = null;
+            }
+            hideHUD(true);
+            if (projectsScroll) projectsScroll.querySelectorAll('.project-banner.active').forEach(c => c.classList.remove('active'));
+            pushRoute({ type: null });
+        }
+
+        // options.cam pins the camera (from a deep link); otherwise it frames the star.
+        // options.duration overrides the flight time (ms).
+        function selectStar(idx, options = {}) {
+            const posAttr = geometry.getAttribute('position');
+            if (!(idx >= 0 && idx < galaxyLoadedCount)) return false;
+            const pos = new THREE.Vector3(posAttr.getX(idx), posAttr.getY(idx), posAttr.getZ(idx));
+            const id = ++selectionId;
+
+            hideHUD(true);
+            placeReticle(pos);
+            const cam = options.cam || framingCameraFor(pos);
+            pushRoute({ type: 'star', index: idx, cam });
+            setCurrentSelection({ type: 'star', index: idx });
+
+            // The HUD opens once the camera lands, or where it stopped if the user took over.
+            flyToGalaxyPose(cam, options.duration === undefined ? 1000 : options.duration).then(() => {
+                if (id !== selectionId) return;
+                showHUD({
+                    title: 'Star Node ' + idx,
+                    type: 'Cinematic Contact Point',
+                    particleIndex: idx,
+                    telemetry: buildStarTelemetry(idx),
+                    desc: 'You have discovered a dense star cluster node — scanned and analyzed.'
+                });
+            });
+            return true;
+        }
+
+        function resolveProjectAnchor(project) {
+            let anchor = projectAnchors.get(project.id);
+            if (!anchor && geometry) {
+                // Spatial index isn't ready yet; resolve this one anchor synchronously.
+                const projectIndex = projects.indexOf(project);
+                anchor = findNearestParticleTo(getProjectTargetPosition(project, projectIndex, projects.length), getAnchorParticleLimit());
+                if (anchor) {
+                    projectAnchors.set(project.id, anchor);
+                    updateProjectMarkers();
+                }
+            }
+            return anchor || null;
+        }
+
+        // The beam starts at the project's card, so it is only drawn while that card can be
+        // seen: in the open panel and not scrolled out of the list.
+        function isBannerInView(card) {
+            if (leftPanel && !leftPanel.classList.contains('active')) return false;
+            const rect = card.getBoundingClientRect();
+            const view = projectsScroll.getBoundingClientRect();
+            return rect.bottom > view.top && rect.top < view.bottom;
+        }
+
+        // Resolves once the camera has arrived (or was taken over) and the HUD is open: true
+        // if the flight finished, false if it was interrupted. options.beamFrom is an element
+        // on screen to draw the beam from when it shouldn't come from the project's card.
+        function selectProject(project, options = {}) {
+            const id = ++selectionId;
+            const card = getBannerForProject(project.id);
+            if (projectsScroll) projectsScroll.querySelectorAll('.project-banner').forEach(c => c.classList.toggle('active', c === card));
+
+            const bannerData = {
+                title: project.title,
+                type: project.subtitle,
+                desc: project.description,
+                project, // for Read More
+                telemetry: buildProjectTelemetry(project),
+                languages: project.metrics.languages
+            };
+
+            const showOnArrival = arrived => {
+                if (id === selectionId) showHUD(bannerData);
+                return arrived;
+            };
+
+            hideHUD(true);
+            setCurrentSelection({ type: 'project', id: project.id, project });
+            const anchor = resolveProjectAnchor(project);
+            if (anchor && anchor.position) {
+                const anchorPos = anchor.position.clone();
+                placeReticle(anchorPos);
+
+                const cam = options.cam || framingCameraFor(anchorPos);
+                pushRoute({ type: 'project', id: project.id, cam }, options.replaceRoute);
+                const beamSource = options.beamFrom || (card && isBannerInView(card) ? card : null);
+                if (beamSource) createBeamFromCardToAnchor(beamSource, anchorPos);
+                return flyToGalaxyPose(cam, options.duration === undefined ? 1200 : options.duration).then(showOnArrival);
+            }
+            pushRoute({ type: 'project', id: project.id }, options.replaceRoute);
+            return cameraAnimator.flyTo(new THREE.Vector3(0, 1.5, 3), null, { duration: 700 }).then(showOnArrival);
+        }
+
+        // --- Project details ---
+        // Read More opens #info-overlay over the galaxy: a rolling credits list (role, stack,
+        // collaborators, timeline), the project's media and its Markdown write-up. The camera
+        // pose is noted on the way in and put back on the way out, so closing returns to
+        // exactly the view the visitor left.
+        const infoOverlay = byId('info-overlay');
+        const infoClose = byId('info-close');
+        const infoTitle = byId('info-title');
+        const infoSubtitle = byId('info-subtitle');
+        const infoCreditsRoll = byId('info-credits-roll');
+        const infoBody = byId('info-body');
+        const infoGallery = byId('info-gallery');
+        const infoDesc = byId('info-desc');
+        const infoLink = byId('info-link');
+        const CREDITS_SECONDS_PER_LINE = 1.5;
+        const CREDITS_MIN_SECONDS = 15;
+        let detailsView = null; // { cam, returnFocus } while open
+
+        function formatProjectDate(str) {
+            const options = str.length > 7 ? { year: 'numeric', month: 'short', day: 'numeric' } : { year: 'numeric', month: 'long' };
+            return parseProjectDate(str).toLocaleDateString(undefined, options);
+        }
+
+        // [{ heading, lines: [{ name, detail?, url? }] }] for the credits roll. Without an
+        // explicit stack the language breakdown stands in for it.
+        function buildProjectCredits(project) {
+            const sections = [];
+            if (project.role) sections.push({ heading: 'Role', lines: [{ name: project.role }] });
+            const stack = project.stack.length ? project.stack : Object.keys(project.metrics.languages);
+            if (stack.length) sections.push({ heading: 'Stack', lines: stack.map(name => ({ name })) });
+            if (project.collaborators.length) {
+                sections.push({ heading: 'With', lines: project.collaborators.map(c => ({ name: c.name, detail: c.role, url: c.url })) });
+            }
+            const milestones = project.timeline.slice();
+            if (project.dates) {
+                milestones.push({ date: project.dates.start, label: 'Started' });
+                if (project.dates.end) milestones.push({ date: project.dates.end, label: 'Completed' });
+            }
+            milestones.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+            if (milestones.length) {
+                sections.push({ heading: 'Timeline', lines: milestones.map(m => ({ name: formatProjectDate(m.date), detail: m.label })) });
+            }
+            return sections;
+        }
+
+        function renderProjectCredits(project) {
+            infoCreditsRoll.innerHTML = '';
+            const title = document.createElement('div');
+            title.className = 'credits-title';
+            title.textContent = project.title;
+            infoCreditsRoll.appendChild(title);
+
+            let lineCount = 2;
+            buildProjectCredits(project).forEach(section => {
+                const block = document.createElement('section');
+                block.className = 'credits-section';
+                const heading = document.createElement('h5');
+                heading.textContent = section.heading;
+                const list = document.createElement('ul');
+                section.lines.forEach(line => {
+                    const item = document.createElement('li');
+                    const name = document.createElement(line.url ? 'a' : 'span');
+                    name.className = 'credits-name';
+                    name.textContent = line.name;
+                    if (line.url) {
+                        name.href = line.url;
+                        name.target = '_blank';
+                        name.rel = 'noopener';
+                    }
+                    item.appendChild(name);
+                    if (line.detail) {
+                        const detail = document.createElement('span');
+                        detail.className = 'credits-detail';
+                        detail.textContent = line.detail;
+                        item.appendChild(detail);
+                    }
+                    list.appendChild(item);
+                });
+                block.appendChild(heading);
+                block.appendChild(list);
+                infoCreditsRoll.appendChild(block);
+                lineCount += section.lines.length + 2;
+            });
+            infoCreditsRoll.style.animationDuration = Math.max(CREDITS_MIN_SECONDS, lineCount * CREDITS_SECONDS_PER_LINE) + 's';
+        }
+
+        function renderProjectGallery(media) {
+            infoGallery.innerHTML = '';
+            infoGallery.hidden = media.length === 0;
+            media.forEach(item => {
+                const figure = document.createElement('figure');
+                let el;
+                if (item.type === 'video') {
+                    el = document.createElement('video');
+                    el.controls = true;
+                    el.preload = 'metadata';
+                    el.playsInline = true;
+                    if (item.poster) el.poster = item.poster;
+                    if (item.alt) el.setAttribute('aria-label', item.alt);
+                } else {
+                    el = document.createElement('img');
+                    el.loading = 'lazy';
+                    el.alt = item.alt || item.caption;
+                }
+                el.src = item.src;
+                figure.appendChild(el);
+                if (item.caption) {
+                    const caption = document.createElement('figcaption');
+                    caption.textContent = item.caption;
+                    figure.appendChild(caption);
+                }
+                infoGallery.appendChild(figure);
+            });
+        }
+
+        function openProjectDetails(project) {
+            if (!infoOverlay) {
+                // Embeds without the overlay markup fall back to the project's own page.
+                if (project.url) window.open(project.url, '_blank');
+                return;
+            }
+            if (!detailsView) detailsView = { cam: getGalaxyCameraPose(), returnFocus: document.activeElement };
+
+            infoTitle.textContent = project.title;
+            infoSubtitle.textContent = project.subtitle;
+            infoSubtitle.hidden = !project.subtitle;
+            renderProjectCredits(project);
+            renderProjectGallery(project.media);
+            infoDesc.innerHTML = '';
+            infoDesc.appendChild(Markdown.render(project.details || project.description, { topHeading: 4 }));
+            const url = project.url && Markdown.safeUrl(project.url);
+            infoLink.hidden = !url;
+            if (url) infoLink.href = url;
+
+            infoOverlay.classList.remove('hidden');
+            infoBody.scrollTop = 0;
+            infoClose.focus();
+        }
+
+        function closeProjectDetails() {
+            if (!detailsView) return;
+            const view = detailsView;
+            detailsView = null;
+            infoOverlay.classList.add('hidden');
+            infoGallery.innerHTML = ''; // stops any video that is still playing
+            setGalaxyCameraPose(view.cam);
+            if (view.returnFocus && view.returnFocus.isConnected) view.returnFocus.focus();
+        }
+
+        if (infoOverlay) {
+            listen(infoClose, 'click', closeProjectDetails);
+            // A click on the backdrop, outside the content, closes too.
+            listen(infoOverlay, 'click', (e) => {
+                if (e.target === infoOverlay) closeProjectDetails();
+            });
+            // Escape closes, and Tab stays inside the dialog while it is open.
+            listen(infoOverlay, 'keydown', (e) => {
+                if (e.key === 'Escape') {
+                    e.stopPropagation();
+                    closeProjectDetails();
+                } else if (e.key === 'Tab') {
+                    const focusable = Array.from(infoOverlay.querySelectorAll('button, a[href], video, [tabindex="0"]')).filter(el => !el.closest('[hidden]'));
+                    const first = focusable[0];
+                    const last = focusable[focusable.length - 1];
+                    if (e.shiftKey && document.activeElement === first) {
+                        e.preventDefault();
+                        last.focus();
+                    } else if (!e.shiftKey && document.activeElement === last) {
+                        e.preventDefault();
+                        first.focus();
+                    }
+                }
+            });
+        }
+
+        // --- Deep links ---
+        // Routes live in the hash (see hashRoute.js). The ?cam= pose is in galaxy space, so a
+        // shared link frames the same stars whatever the spin.
+        let applyingRoute = false;
+
+        function parseRoute(hash) {
+            const route = HashRoute.parse(hash);
+            if (route.cam) {
+                route.cam = {
+                    position: new THREE.Vector3().copy(route.cam.position),
+                    target: new THREE.Vector3().copy(route.cam.target)
+                };
+            }
+            return route;
+        }
+
+        // Selections push history entries; replace=true is for refining the current entry.
+        function pushRoute(route, replace = false) {
+            if (applyingRoute || !routing) return;
+            const hash = HashRoute.format(route);
+            if (hash === (location.hash || '#/')) return;
+            if (replace) history.replaceState(null, '', hash);
+            else history.pushState(null, '', hash);
+        }
+
+        function applyRoute(route, animate = true) {
+            applyingRoute = true;
+            try {
+                const project = route.type === 'project' ? getProjectById(route.id) : null;
+                let selected = false;
+                // On load the link's view is put up at once rather than flown to.
+                const duration = animate ? undefined : 0;
+                if (project) {
+                    selectProject(project, { cam: route.cam, duration });
+                    selected = true;
+                } else if (route.type === 'star') {
+                    selected = selectStar(route.index, { cam: route.cam, duration });
+                }
+                if (!selected) {
+                    clearSelection();
+                    if (route.cam) {
+                        if (animate) flyToGalaxyPose(route.cam, 1000);
+                        else setGalaxyCameraPose(route.cam);
+                    }
+                }
+            } finally {
+                applyingRoute = false;
+            }
+        }
+
+        // The current camera pose in galaxy space.
+        function getGalaxyCameraPose() {
+            return {
+                position: galaxyFrame.worldToLocal(camera.position.clone()),
+                target: galaxyFrame.worldToLocal(controls.target.clone())
+            };
+        }
+
+        // Puts the camera at a galaxy-space pose straight away.
+        function setGalaxyCameraPose(cam) {
+            cameraAnimator.cancel();
+            camera.position.copy(galaxyFrame.localToWorld(cam.position.clone()));
+            controls.target.copy(galaxyFrame.localToWorld(cam.target.clone()));
+            controls.update();
+        }
+
+        // Keeps ?cam= in step with the view, so the link shares what you see. With nothing
+        // selected the view itself becomes the route (#/view?cam=...).
+        function syncCameraToRoute() {
+            if (!routing) return;
+            const route = parseRoute(location.hash);
+            if (!route.type) route.type = 'view';
+            route.cam = getGalaxyCameraPose();
+            pushRoute(route, true);
+        }
+
+        // Debounced variant for input that arrives in bursts (wheel, held keys).
+        let cameraSyncTimer = null;
+        function scheduleCameraSync() {
+            clearTimeout(cameraSyncTimer);
+            cameraSyncTimer = setTimeout(syncCameraToRoute, 300);
+        }
+
+        if (routing) listen(window, 'popstate', () => applyRoute(parseRoute(location.hash)));
+        listen(controls, 'end', syncCameraToRoute);
+
+        // --- Startup ---
+        // Nothing past a load is run once the instance has been destroyed.
+        const galaxyReady = loadGalaxyConfig().then(fileParameters => {
+            if (destroyed) return false;
+            const explicit = Object.assign({}, fileParameters, config.parameters ? sanitizeGalaxyParameters(config.parameters, 'config.parameters') : {});
+            Object.assign(parameters, explicit);
+            pinGalaxyColors(explicit);
+            committedThemedColorKeys = themedColorKeys.slice();
+            applyThemeGalaxyColors(parameters);
+            committedParameters = Object.assign({}, parameters);
+            renderGalaxyEditor();
+            if (layoutSelect) layoutSelect.value = parameters.layout;
+            // The project-cluster layout needs the projects before it can place its clusters.
+            return parameters.layout === 'clusters' ? projectsReady : null;
+        }).then(() => {
+            if (destroyed) return false;
+            regenerateGalaxy(null);
+            return galaxyLoaded;
+        });
+
+        const projectsReady = loadProjects()
+            .then(list => {
+                if (destroyed) return;
+                projects = list;
+                renderProjectTags(projects);
+                renderProjectBanners(projects);
+                assignProjectAnchors();
+            })
+            .catch(err => {
+                if (destroyed) return;
+                console.warn('Unable to load ' + PROJECTS_MANIFEST_URL + ':', err);
+                renderProjectBanners([], 'Project data is unavailable right now.');
+            });
+
+        const ready = Promise.all([galaxyReady, projectsReady]).then(() => {
+            if (destroyed) return;
+            if (config.tour) {
+                // Kiosk/demo mode: skip the intro and start presenting straight away.
+                if (introOverlay) introOverlay.classList.add('hidden');
+                startTour();
+            } else if (routing && location.hash) {
+                applyRoute(parseRoute(location.hash), false);
+            }
+            emit('ready', { projects: projects.slice() });
+        });
+
+        listen(renderer.domElement, 'wheel', (event) => {
+            const path = event.composedPath ? event.composedPath() : (event.path || []);
+            for (const el of path) {
+                if (!el) continue;
+                if (el.id === 'left-panel' || el.id === 'contact-panel' || el.id === 'projects-scroll' || el.id === 'hud-window' || (el.classList && el.classList.contains('project-banner'))) {
+                    return; 
+                }
+            }
+            if (event.ctrlKey) return;
+            event.preventDefault(); 
+            const zoomSpeed = 0.0035;
+            dollyCamera(-event.deltaY * zoomSpeed);
+            scheduleCameraSync();
+        }, { passive: false });
+
+        // --- Keyboard navigation ---
+        // With the canvas focused, arrows and Tab step through project anchors and Enter flies
+        // to the highlighted one. +/- and WASD move the camera anywhere outside form fields.
+        const KEY_DOLLY_STEP = 0.35;
+        const KEY_PAN_STEP = 40; // px, as if middle-dragged
+        let keyboardProjectIndex = -1;
+
+        function highlightProject(i) {
+            const project = projects[i];
+            keyboardProjectIndex = i;
+            clearSelection();
+            const anchor = resolveProjectAnchor(project);
+            if (anchor) placeReticle(anchor.position);
+            const card = getBannerForProject(project.id);
+            if (card) card.classList.add('active');
+            announce('Project ' + (i + 1) + ' of ' + projects.length + ': ' + project.title + '. Press Enter to fly there.');
+        }
+
+        listen(renderer.domElement, 'keydown', (e) => {
+            if (e.altKey || e.ctrlKey || e.metaKey || projects.length === 0) return;
+            const last = projects.length - 1;
+            let next = null;
+            if (e.key === 'ArrowRight' || e.key === 'ArrowDown') next = keyboardProjectIndex >= last ? 0 : keyboardProjectIndex + 1;
+            else if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') next = keyboardProjectIndex <= 0 ? last : keyboardProjectIndex - 1;
+            else if (e.key === 'Tab') {
+                // Step through the anchors, then let Tab carry on to the rest of the page.
+                next = e.shiftKey ? keyboardProjectIndex - 1 : keyboardProjectIndex + 1;
+                if (keyboardProjectIndex === -1 && e.shiftKey) next = null;
+                else if (next < 0 || next > last) {
+                    keyboardProjectIndex = -1;
+                    next = null;
+                }
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                selectProject(projects[Math.max(keyboardProjectIndex, 0)]);
+                return;
+            }
+            if (next === null) return;
+            e.preventDefault();
+            highlightProject(next);
+        });
+
+        listen(renderer.domElement, 'blur', () => { keyboardProjectIndex = -1; });
+
+        // Embedded, the galaxy only takes keys while its canvas has focus.
+        listen(fullWindow ? window : renderer.domElement, 'keydown', (e) => {
+            if (detailsView) return; // the details dialog has the keyboard
+            if (e.key === 'Escape') clearSelection();
+            if (isTypingTarget(e.target) || e.altKey || e.ctrlKey || e.metaKey) return;
+            if (e.key === '`') toggleGalaxyEditor();
+
+            const key = e.key.toLowerCase();
+            if (key === '+' || key === '=') dollyCamera(KEY_DOLLY_STEP);
+            else if (key === '-' || key === '_') dollyCamera(-KEY_DOLLY_STEP);
+            else if (key === 'w') panCamera(0, KEY_PAN_STEP);
+            else if (key === 's') panCamera(0, -KEY_PAN_STEP);
+            else if (key === 'a') panCamera(KEY_PAN_STEP, 0);
+            else if (key === 'd') panCamera(-KEY_PAN_STEP, 0);
+            else return;
+            scheduleCameraSync();
+        });
+
+        function isTypingTarget(el) {
+            return !!el && (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT' || el.isContentEditable);
+        }
+
+        // --- Galaxy editor (developer tool) ---
+        // Toggle with the ` key, or open on load with ?dev in the URL.
+        const galaxyEditor = byId('galaxy-editor');
+        const galaxyEditorFields = byId('galaxy-editor-fields');
+        const galaxyEditorStatus = byId('galaxy-editor-status');
+        let committedParameters = Object.assign({}, parameters); // what galaxy.config.json + URL gave us
+        let committedThemedColorKeys = THEME_COLOR_KEYS.slice();
+        let regenerateTimer = null;
+
+        function toggleGalaxyEditor(force) {
+            if (galaxyEditor) galaxyEditor.classList.toggle('active', force);
+        }
+
+        function setEditorStatus(text) {
+            if (galaxyEditorStatus) galaxyEditorStatus.textContent = text;
+        }
+
+        function formatParameterValue(key, value) {
+            const spec = parameterSpecs[key];
+            if (spec.type !== 'range') return String(value);
+            return key === 'count' ? Number(value).toLocaleString() : String(+Number(value).toFixed(2));
+        }
+
+        function renderGalaxyEditor() {
+            if (!galaxyEditorFields) return;
+            galaxyEditorFields.innerHTML = '';
+            Object.keys(parameterSpecs).forEach(key => {
+                const spec = parameterSpecs[key];
+                const row = document.createElement('label');
+                row.className = 'editor-row';
+
+                const name = document.createElement('span');
+                name.className = 'editor-label';
+                name.textContent = key;
+                row.appendChild(name);
+
+                const input = document.createElement(spec.type === 'select' ? 'select' : 'input');
+                if (spec.type === 'select') {
+                    spec.options.forEach(value => {
+                        const option = document.createElement('option');
+                        option.value = option.textContent = value;
+                        input.appendChild(option);
+                    });
+                } else {
+                    input.type = spec.type;
+                }
+                input.name = key;
+                if (spec.type === 'range') {
+                    input.min = spec.min;
+                    input.max = spec.max;
+                    input.step = spec.step;
+                }
+                input.value = parameters[key];
+                row.appendChild(input);
+
+                const readout = document.createElement('output');
+                readout.textContent = formatParameterValue(key, parameters[key]);
+                row.appendChild(readout);
+
+                // Text fields commit on change so each keystroke doesn't rebuild the galaxy.
+                input.addEventListener(spec.type === 'text' || spec.type === 'select' ? 'change' : 'input', () => {
+                    const value = spec.type === 'range' ? Number(input.value) : input.value.trim();
+                    if (spec.type === 'text' && !value) return;
+                    parameters[key] = value;
+                    pinGalaxyColors({ [key]: value });
+                    readout.textContent = formatParameterValue(key, value);
+                    if (key === 'seed' && routing) syncSeedToUrl();
+                    if (key === 'layout' && layoutSelect) layoutSelect.value = value;
+                    scheduleRegenerate();
+                });
+                galaxyEditorFields.appendChild(row);
+            });
+        }
+
+        function syncSeedToUrl() {
+            const url = new URL(location.href);
+            url.searchParams.set('seed', parameters.seed);
+            history.replaceState(history.state, '', url);
+        }
+
+        function scheduleRegenerate() {
+            setEditorStatus('Regenerating…');
+            clearTimeout(regenerateTimer);
+            regenerateTimer = setTimeout(() => {
+                clearSelection();
+                regenerateGalaxy(fraction => setEditorStatus('Regenerating… ' + Math.floor(fraction * 100) + '%'), true)
+                    .then(complete => {
+                        if (complete) setEditorStatus(parameters.count.toLocaleString() + ' particles');
+                    });
+            }, 300);
+        }
+
+        // Colours still following the theme are left out, so loading the file keeps them themed.
+        function getGalaxyConfigJson() {
+            const saved = Object.assign({}, parameters);
+            themedColorKeys.forEach(key => { delete saved[key]; });
+            return JSON.stringify(saved, null, 4);
+        }
+
+        function exportGalaxyConfig() {
+            const json = getGalaxyConfigJson() + '\n';
+            const blob = new Blob([json], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = GALAXY_CONFIG_URL.split('/').pop();
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 0);
+            setEditorStatus('Saved ' + link.download + ' — commit it to make this the default.');
+        }
+
+        function copyGalaxyConfig() {
+            const json = getGalaxyConfigJson();
+            if (!navigator.clipboard) {
+                setEditorStatus('Clipboard unavailable; use Export instead.');
+                return;
+            }
+            navigator.clipboard.writeText(json).then(
+                () => setEditorStatus('Config copied to clipboard.'),
+                () => setEditorStatus('Clipboard unavailable; use Export instead.')
+            );
+        }
+
+        function resetGalaxyParameters() {
+            themedColorKeys = committedThemedColorKeys.slice();
+            Object.assign(parameters, committedParameters);
+            applyThemeGalaxyColors(parameters);
+            if (routing) syncSeedToUrl();
+            renderGalaxyEditor();
+            if (layoutSelect) layoutSelect.value = parameters.layout;
+            scheduleRegenerate();
+        }
+
+        const galaxyExportBtn = byId('galaxy-export');
+        const galaxyCopyBtn = byId('galaxy-copy');
+        const galaxyResetBtn = byId('galaxy-reset');
+        const closeGalaxyEditorBtn = byId('close-galaxy-editor');
+        if (galaxyExportBtn) listen(galaxyExportBtn, 'click', exportGalaxyConfig);
+        if (galaxyCopyBtn) listen(galaxyCopyBtn, 'click', copyGalaxyConfig);
+        if (galaxyResetBtn) listen(galaxyResetBtn, 'click', resetGalaxyParameters);
+        if (closeGalaxyEditorBtn) listen(closeGalaxyEditorBtn, 'click', () => toggleGalaxyEditor(false));
+        if (config.dev) toggleGalaxyEditor(true);
+
+        // --- PANEL LOGIC (Left & Right) ---
+        const leftPanel = byId('left-panel');
+        const navProjectsLink = byId('nav-projects-link');
+        const heroCta = byId('hero-cta');
+        const closeLeftPanelBtn = byId('close-left-panel');
+
+        // Contact Panel Elements
+        const contactPanel = byId('contact-panel');
+        const navContactLink = byId('nav-contact-link');
+        const closeContactPanelBtn = byId('close-contact-panel');
+
+        // Projects Panel Functions
+        function openLeftPanel(e) {
+            if(e) e.preventDefault();
+            if (contactPanel) contactPanel.classList.remove('active'); // Close other panel
+            if (leftPanel) leftPanel.classList.add('active');
+        }
+        function closeLeftPanel() {
+            if (leftPanel) leftPanel.classList.remove('active');
+        }
+
+        // Contact Panel Functions
+        function openContactPanel(e) {
+            if(e) e.preventDefault();
+            if (leftPanel) leftPanel.classList.remove('active'); // Close other panel
+            if (contactPanel) contactPanel.classList.add('active');
+        }
+        function closeContactPanel() {
+            if (contactPanel) contactPanel.classList.remove('active');
+        }
+
+        // Event Listeners for Projects
+        if(navProjectsLink) listen(navProjectsLink, 'click', openLeftPanel);
+        if(heroCta) listen(heroCta, 'click', openLeftPanel);
+        if(closeLeftPanelBtn) listen(closeLeftPanelBtn, 'click', closeLeftPanel);
+
+        // Event Listeners for Contact
+        if(navContactLink) listen(navContactLink, 'click', openContactPanel);
+        if(closeContactPanelBtn) listen(closeContactPanelBtn, 'click', closeContactPanel);
+
+        // Global click to close panels
+        listen(document, 'click', (e) => {
+            // Logic for Left Panel
+            if (leftPanel && leftPanel.classList.contains('active') && 
+                !leftPanel.contains(e.target) && 
+                e.target !== navProjectsLink && 
+                e.target !== heroCta) {
+                closeLeftPanel();
+            }
+
+            // Logic for Right (Contact) Panel
+            if (contactPanel && contactPanel.classList.contains('active') && 
+                !contactPanel.contains(e.target) && 
+                e.target !== navContactLink) {
+                closeContactPanel();
+            }
+        });
+
+        // --- Instance ---
+        function on(type, handler) {
+            (eventHandlers[type] = eventHandlers[type] || []).push(handler);
+        }
+
+        function off(type, handler) {
+            const handlers = eventHandlers[type] || [];
+            const i = handlers.indexOf(handler);
+            if (i !== -1) handlers.splice(i, 1);
+        }
+
+        // Flies to a project and opens its HUD. Resolves true on arrival, or false if the
+        // flight was interrupted or the id isn't in the manifest (wait for `ready` before
+        // selecting).
+        function select(projectId, options = {}) {
+            const project = getProjectById(projectId);
+            if (destroyed || !project) return Promise.resolve(false);
+            return selectProject(project, { duration: options.duration });
+        }
+
+        // position and target are galaxy-space { x, y, z }, the space project anchors live in.
+        // Resolves true on arrival or false if the flight was interrupted.
+        function flyTo(position, target, options = {}) {
+            if (destroyed) return Promise.resolve(false);
+            const cam = {
+                position: new THREE.Vector3(position.x, position.y, position.z),
+                target: new THREE.Vector3(target.x, target.y, target.z)
+            };
+            return flyToGalaxyPose(cam, options.duration === undefined ? 1200 : options.duration);
+        }
+
+        function getParameters() {
+            return Object.assign({}, parameters);
+        }
+
+        // Merges in the valid keys of `changes` (anything else is dropped with a warning) and
+        // morphs to the new galaxy. Resolves true once it is complete.
+        function setParameters(changes) {
+            return galaxyReady.then(() => {
+                if (destroyed) return false;
+                const clean = sanitizeGalaxyParameters(changes, 'setParameters');
+                Object.assign(parameters, clean);
+                pinGalaxyColors(clean);
+                if (layoutSelect) layoutSelect.value = parameters.layout;
+                renderGalaxyEditor();
+                clearSelection();
+                return regenerateGalaxy(null, true);
+            });
+        }
+
+        // Stops everything this instance started and gives back its GPU memory. The page
+        // markup stays, emptied of what mount() rendered into it, so it can be mounted again.
+        function destroy() {
+            if (destroyed) return;
+            destroyed = true;
+            stopTour();
+            clearHover();
+            stopScan();
+            closeProjectDetails();
+            hideHUD(true);
+            cameraAnimator.cancel();
+            clearTimeout(cameraSyncTimer);
+            clearTimeout(regenerateTimer);
+            clearTimeout(contextRestoreTimer);
+            cleanups.splice(0).forEach(undo => undo());
+
+            galaxyJob++;
+            particleTreeGeneration++;
+            if (galaxyWorker) galaxyWorker.terminate();
+            if (pickWorker) pickWorker.terminate();
+            galaxyWorker = pickWorker = null;
+            if (resolvePendingGalaxy) resolvePendingGalaxy(false);
+            settleGalaxyLoad(false);
+
+            activeBeam = null;
+            disposeObject(scene);
+            controls.dispose();
+            if (postProcessing) postProcessing.dispose();
+            renderer.dispose();
+            renderer.forceContextLoss();
+            renderer.domElement.remove();
+
+            [projectsScroll, projectTagsEl, galaxyEditorFields, layoutSelect, themeSelect, infoCreditsRoll, infoDesc].forEach(el => {
+                if (el) el.innerHTML = '';
+            });
+            Object.keys(getThemeCssVariables()).forEach(name => styleRoot.style.removeProperty(name));
+            styleRoot.classList.remove('reduced-motion');
+            Object.keys(eventHandlers).forEach(type => { delete eventHandlers[type]; });
+        }
+
+        return { ready, on, off, select, clearSelection, flyTo, getParameters, setParameters, destroy };
+    }
+
+    return { mount };
+})();
@@ -0,0 +1,160 @@
+// galaxyGenerator.js
+// Particle layout math shared by galaxyWorker.js and the main-thread fallback.
+// Needs prng.js loaded first.
+var GalaxyGenerator = (function () {
+    const LAYOUTS = ['spiral', 'barred', 'elliptical', 'ring', 'clusters'];
+
+    // Same conversion THREE.Color uses for '#rrggbb' strings.
+    function hexToRgb(hex) {
+        const n = parseInt(hex.slice(1), 16);
+        return [((n >> 16) & 255) / 255, ((n >> 8) & 255) / 255, (n & 255) / 255];
+    }
+
+    // Scatter around an arm, shared by the spiral and barred layouts.
+    function armJitter(random, parameters, radius, out) {
+        out[0] += Math.pow(random(), parameters.randomnessPower) * (random() < 0.5 ? 1 : -1) * parameters.randomness * radius;
+        out[1] += Math.pow(random(), 1.5) * (random() < 0.5 ? 1 : -1) * parameters.randomness * radius * 0.5;
+        out[2] += Math.pow(random(), parameters.randomnessPower) * (random() < 0.5 ? 1 : -1) * parameters.randomness * radius;
+    }
+
+    // Uniform direction scaled by length, with y squashed by flatten.
+    function scatter(random, length, flatten, out) {
+        const theta = random() * Math.PI * 2;
+        const u = random() * 2 - 1;
+        const s = Math.sqrt(1 - u * u) * length;
+        out[0] += Math.cos(theta) * s;
+        out[1] += u * length * flatten;
+        out[2] += Math.sin(theta) * s;
+    }
+
+    // Each layout writes particle i's position into out and returns its colour
+    // coordinate: 0 for the hot white centre, 1 for the cool rim.
+    const layouts = {
+        spiral(random, parameters, i, out) {
+            const radius = Math.pow(random(), 5) * parameters.radius;
+            const branchAngle = (i % parameters.branches) / parameters.branches * Math.PI * 2;
+            const spinAngle = radius * parameters.spin;
+            out[0] = Math.cos(branchAngle + spinAngle) * radius;
+            out[1] = 0;
+            out[2] = Math.sin(branchAngle + spinAngle) * radius;
+            armJitter(random, parameters, radius, out);
+            return radius / parameters.radius;
+        },
+
+        // A straight bar through the core with two arms winding out from its ends.
+        barred(random, parameters, i, out) {
+            const radius = Math.pow(random(), 3) * parameters.radius;
+            const barRadius = parameters.radius * 0.3;
+            const side = i % 2 ? -1 : 1;
+            if (radius < barRadius) {
+                out[0] = side * radius;
+                out[1] = 0;
+                out[2] = 0;
+            } else {
+                const angle = (side < 0 ? Math.PI : 0) + (radius - barRadius) * parameters.spin;
+                out[0] = Math.cos(angle) * radius;
+                out[1] = 0;
+                out[2] = Math.sin(angle) * radius;
+            }
+            armJitter(random, parameters, Math.max(radius, barRadius * 0.4), out);
+            return radius / parameters.radius;
+        },
+
+        // A smooth, armless ellipsoid, densest at the centre.
+        elliptical(random, parameters, i, out) {
+            const radius = Math.pow(random(), 2) * parameters.radius;
+            out[0] = out[1] = out[2] = 0;
+            scatter(random, radius, 0.6, out);
+            return radius / parameters.radius;
+        },
+
+        // A bright ring at 70% of the radius around a small, faint core.
+        ring(random, parameters, i, out) {
+            out[0] = out[1] = out[2] = 0;
+            if (random() < 0.15) {
+                const radius = Math.pow(random(), 3) * parameters.radius * 0.2;
+                scatter(random, radius, 0.5, out);
+                return radius / parameters.radius;
+            }
+            const radius = parameters.radius * (0.7 + (random() - 0.5) * 0.2 * (1 + parameters.randomness));
+            const angle = random() * Math.PI * 2;
+            out[0] = Math.cos(angle) * radius;
+            out[2] = Math.sin(angle) * radius;
+            scatter(random, Math.pow(random(), 2) * parameters.radius * 0.08, 0.5, out);
+            return 0.3 + 0.7 * radius / parameters.radius;
+        },
+
+        // One tight cluster per entry in parameters.clusters (galaxy-space {x, y, z}),
+        // e.g. one per project. Falls back to a single cluster at the centre.
+        clusters(random, parameters, i, out) {
+            const centres = parameters.clusters && parameters.clusters.length ? parameters.clusters : [{ x: 0, y: 0, z: 0 }];
+            const centre = centres[i % centres.length];
+            const clusterRadius = parameters.radius * 0.18;
+            const radius = Math.pow(random(), 2) * clusterRadius;
+            out[0] = centre.x;
+            out[1] = centre.y;
+            out[2] = centre.z;
+            scatter(random, radius, 0.7, out);
+            return radius / clusterRadius;
+        }
+    };
+
+    // Per-particle size and brightness for particleMaterial.js: mostly small, dim points
+    // with the odd large, bright one. Writes `count` values into each array from index 0.
+    function fillAppearance(random, sizes, brightness, count) {
+        for (let i = 0; i < count; i++) {
+            const r = Math.pow(random(), 6);
+            sizes[i] = 0.6 + r * 2.4;
+            brightness[i] = 0.55 + 0.45 * Math.sqrt(random()) + 0.3 * r;
+        }
+    }
+
+    // Returns a cursor over the galaxy's particles. Each fill() call writes the next
+    // `count` particles into the given arrays (from index 0), so a galaxy can be produced
+    // in chunks that are identical to generating it in one go. sizes and brightness are
+    // optional and come from their own stream, so they never shift the layout.
+    function create(parameters) {
+        const random = Prng.create(parameters.seed, 'galaxy');
+        const appearanceRandom = Prng.create(parameters.seed, 'appearance');
+        const layout = layouts[parameters.layout] || layouts.spiral;
+        const inside = hexToRgb(parameters.insideColor);
+        const outside = hexToRgb(parameters.outsideColor);
+        const point = [0, 0, 0];
+        let next = 0;
+
+        function fill(positions, colors, count, sizes, brightness) {
+            const n = Math.min(count, parameters.count - next);
+            if (sizes) fillAppearance(appearanceRandom, sizes, brightness, n);
+            for (let k = 0; k < n; k++, next++) {
+                const k3 = k * 3;
+                const f = Math.min(1, layout(random, parameters, next, point));
+                positions[k3] = point[0];
+                positions[k3 + 1] = point[1];
+                positions[k3 + 2] = point[2];
+
+                // Inside -> outside colour, blending to white in the innermost 10%.
+                let r = inside[0] + (outside[0] - inside[0]) * f;
+                let g = inside[1] + (outside[1] - inside[1]) * f;
+                let b = inside[2] + (outside[2] - inside[2]) * f;
+                const saturationFactor = 1 - f;
+                if (saturationFactor > 0.9) {
+                    const w = (saturationFactor - 0.9) / 0.1;
+                    r += (1 - r) * w;
+                    g += (1 - g) * w;
+                    b += (1 - b) * w;
+                }
+                colors[k3] = r;
+                colors[k3 + 1] = g;
+                colors[k3 + 2] = b;
+            }
+            return n;
+        }
+
+        return {
+            fill,
+            get remaining() { return parameters.count - next; }
+        };
+    }
+
+    return { create, fillAppearance, layouts: LAYOUTS };
+})();
@@ -0,0 +1,21 @@
+// galaxyWorker.js
+importScripts('prng.js', 'galaxyGenerator.js');
+
+// Streams the galaxy back in chunks so the main thread can upload and draw it progressively.
+self.onmessage = function (e) {
+    const parameters = e.data.parameters;
+    const chunkSize = e.data.chunkSize || 25000;
+    const generator = GalaxyGenerator.create(parameters);
+    let start = 0;
+
+    while (generator.remaining > 0) {
+        const size = Math.min(chunkSize, generator.remaining);
+        const positions = new Float32Array(size * 3);
+        const colors = new Float32Array(size * 3);
+        const sizes = new Float32Array(size);
+        const brightness = new Float32Array(size);
+        generator.fill(positions, colors, size, sizes, brightness);
+        self.postMessage({ start, positions, colors, sizes, brightness }, [positions.buffer, colors.buffer, sizes.buffer, brightness.buffer]);
+        start += size;
+    }
+};
@@ -0,0 +1,49 @@
+// hashRoute.js
+// Deep-link routes in the URL hash, so the site works from any static host:
+//   #/project/<id>, #/star/<particle index>, #/view
+// each optionally followed by ?cam=px,py,pz,tx,ty,tz to pin the camera. Camera poses are
+// plain { position, target } objects of { x, y, z }; the galaxy turns them into vectors.
+var HashRoute = (function () {
+    function parseCamera(value) {
+        if (!value) return null;
+        const n = value.split(',').map(Number);
+        if (n.length !== 6 || n.some(v => !isFinite(v))) return null;
+        return { position: { x: n[0], y: n[1], z: n[2] }, target: { x: n[3], y: n[4], z: n[5] } };
+    }
+
+    // { type, cam } plus id (project) or index (star). type is null when the hash is
+    // not a route, including one with a malformed escape.
+    function parse(hash) {
+        const [path, query = ''] = hash.replace(/^#/, '').split('?');
+        const parts = path.split('/').filter(Boolean);
+        const route = { type: null, cam: parseCamera(new URLSearchParams(query).get('cam')) };
+        if (parts[0] === 'project' && parts[1]) {
+            try {
+                route.id = decodeURIComponent(parts[1]);
+                route.type = 'project';
+            } catch (err) {} // malformed escape: treat it as no route
+        } else if (parts[0] === 'star' && /^\d+$/.test(parts[1] || '')) {
+            route.type = 'star';
+            route.index = parseInt(parts[1], 10);
+        } else if (parts[0] === 'view') {
+            route.type = 'view';
+        }
+        return route;
+    }
+
+    // Camera coordinates are rounded to two decimals to keep links short.
+    function format(route) {
+        let hash = '#/';
+        if (route.type === 'project') hash += 'project/' + encodeURIComponent(route.id);
+        else if (route.type === 'star') hash += 'star/' + route.index;
+        else if (route.type === 'view') hash += 'view';
+        if (route.type && route.cam) {
+            const c = route.cam;
+            const values = [c.position.x, c.position.y, c.position.z, c.target.x, c.target.y, c.target.z];
+            hash += '?cam=' + values.map(v => +v.toFixed(2)).join(',');
+        }
+        return hash;
+    }
+
+    return { parse, format };
+})();
@@ -0,0 +1,143 @@
+// markdown.js
+// A small Markdown renderer for project write-ups. It builds DOM nodes rather than an
+// HTML string, so text from projects.json can never inject markup. Supports headings,
+// paragraphs, - / 1. lists, > quotes, ``` code blocks, --- rules, and inline **bold**,
+// *italic*, `code` and [links](url). Links are limited to http(s), mailto and
+// relative URLs, and open in a new tab; safeUrl(url) applies the same check elsewhere.
+var Markdown = (function () {
+    const INLINE = /`([^`]+)`|\*\*(.+?)\*\*|__(.+?)__|\*(.+?)\*|\b_(.+?)_\b|\[([^\]]+)\]\(([^)\s]+)\)/;
+    const LIST_ITEM = /^\s*([-*+]|\d+\.)\s+(.*)$/;
+    const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+    const RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+
+    // url if it is http(s), mailto or relative, otherwise null.
+    function safeUrl(url) {
+        if (/^(https?:|mailto:)/i.test(url)) return url;
+        return /^[^:]*$/.test(url) ? url : null; // relative: no scheme at all
+    }
+
+    function appendInline(parent, text) {
+        let rest = text;
+        while (rest) {
+            const m = INLINE.exec(rest);
+            if (!m) {
+                parent.appendChild(document.createTextNode(rest));
+                return;
+            }
+            if (m.index > 0) parent.appendChild(document.createTextNode(rest.slice(0, m.index)));
+            if (m[1] !== undefined) {
+                const code = document.createElement('code');
+                code.textContent = m[1];
+                parent.appendChild(code);
+            } else if (m[2] !== undefined || m[3] !== undefined) {
+                const strong = document.createElement('strong');
+                appendInline(strong, m[2] !== undefined ? m[2] : m[3]);
+                parent.appendChild(strong);
+            } else if (m[4] !== undefined || m[5] !== undefined) {
+                const em = document.createElement('em');
+                appendInline(em, m[4] !== undefined ? m[4] : m[5]);
+                parent.appendChild(em);
+            } else {
+                const href = safeUrl(m[7]);
+                if (href) {
+                    const link = document.createElement('a');
+                    link.href = href;
+                    link.target = '_blank';
+                    link.rel = 'noopener';
+                    appendInline(link, m[6]);
+                    parent.appendChild(link);
+                } else {
+                    appendInline(parent, m[6]);
+                }
+            }
+            rest = rest.slice(m.index + m[0].length);
+        }
+    }
+
+    function startsBlock(line) {
+        return /^```/.test(line) || HEADING.test(line) || RULE.test(line) || /^>/.test(line) || LIST_ITEM.test(line);
+    }
+
+    // Returns a DocumentFragment. options.topHeading is the level "#" maps to (default 1),
+    // so a write-up can sit under an existing heading.
+    function render(text, options = {}) {
+        const topHeading = options.topHeading || 1;
+        const fragment = document.createDocumentFragment();
+        const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+        let i = 0;
+        while (i < lines.length) {
+            const line = lines[i];
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            if (/^```/.test(line)) {
+                const code = [];
+                for (i++; i < lines.length && !/^```/.test(lines[i]); i++) code.push(lines[i]);
+                i++; // closing fence
+                const pre = document.createElement('pre');
+                const el = document.createElement('code');
+                el.textContent = code.join('\n');
+                pre.appendChild(el);
+                fragment.appendChild(pre);
+                continue;
+            }
+
+            const heading = HEADING.exec(line);
+            if (heading) {
+                const el = document.createElement('h' + Math.min(6, topHeading + heading[1].length - 1));
+                appendInline(el, heading[2]);
+                fragment.appendChild(el);
+                i++;
+                continue;
+            }
+
+            if (RULE.test(line)) {
+                fragment.appendChild(document.createElement('hr'));
+                i++;
+                continue;
+            }
+
+            if (/^>/.test(line)) {
+                const quoted = [];
+                for (; i < lines.length && /^>/.test(lines[i]); i++) quoted.push(lines[i].replace(/^>\s?/, ''));
+                const quote = document.createElement('blockquote');
+                quote.appendChild(render(quoted.join('\n'), options));
+                fragment.appendChild(quote);
+                continue;
+            }
+
+            const item = LIST_ITEM.exec(line);
+            if (item) {
+                const ordered = /\d/.test(item[1]);
+                const list = document.createElement(ordered ? 'ol' : 'ul');
+                const texts = [];
+                for (; i < lines.length; i++) {
+                    const next = LIST_ITEM.exec(lines[i]);
+                    if (next && /\d/.test(next[1]) === ordered) texts.push(next[2]);
+                    else if (!next && /^\s+\S/.test(lines[i]) && texts.length) texts[texts.length - 1] += ' ' + lines[i].trim();
+                    else break;
+                }
+                texts.forEach(t => {
+                    const li = document.createElement('li');
+                    appendInline(li, t);
+                    list.appendChild(li);
+                });
+                fragment.appendChild(list);
+                continue;
+            }
+
+            const paragraph = [];
+            for (; i < lines.length && lines[i].trim() && (paragraph.length === 0 || !startsBlock(lines[i])); i++) {
+                paragraph.push(lines[i].trim());
+            }
+            const p = document.createElement('p');
+            appendInline(p, paragraph.join(' '));
+            fragment.appendChild(p);
+        }
+        return fragment;
+    }
+
+    return { render, safeUrl };
+})();
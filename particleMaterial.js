@@ -0,0 +1,82 @@
+// particleMaterial.js
+// Shader for the galaxy and the background star field: round soft-edged points with
+// per-particle size and brightness, a slow twinkle, an optional morph between two
+// layouts (positionFrom/colorFrom -> position/color) and two highlight spots (selected
+// and hovered) that brighten and enlarge nearby particles. uCoreRadius, when above 0,
+// fades out everything beyond that distance from the centre, leaving just the core (for
+// the bloom pass). Needs three.js loaded first.
+var ParticleMaterial = (function () {
+    const vertexShader = [
+        'uniform float uTime;',
+        'uniform float uSize;',
+        'uniform float uScale;',
+        'uniform float uTwinkle;',
+        'uniform float uMorph;',
+        'uniform vec4 uSelected;', // xyz = centre in object space, w = strength
+        'uniform vec4 uHovered;',
+        'uniform float uHighlightRadius;',
+        'uniform float uCoreRadius;',
+        'attribute vec3 positionFrom;',
+        'attribute vec3 colorFrom;',
+        'attribute float size;',
+        'attribute float brightness;',
+        'varying vec3 vColor;',
+        'varying float vBrightness;',
+        '',
+        'float spot(vec4 highlight, vec3 p) {',
+        '    return highlight.w * (1.0 - smoothstep(0.0, uHighlightRadius, distance(p, highlight.xyz)));',
+        '}',
+        '',
+        'void main() {',
+        '    vec3 p = mix(positionFrom, position, uMorph);',
+        '    vec4 mvPosition = modelViewMatrix * vec4(p, 1.0);',
+        '    float phase = fract(sin(dot(position, vec3(12.9898, 78.233, 37.719))) * 43758.5453);',
+        '    float twinkle = 1.0 - uTwinkle * (0.5 + 0.5 * sin(uTime * (1.0 + 2.0 * phase) + phase * 6.2831));',
+        '    float highlight = max(spot(uSelected, p), spot(uHovered, p));',
+        '    vColor = mix(colorFrom, color, uMorph);',
+        '    vBrightness = brightness * twinkle + highlight;',
+        '    if (uCoreRadius > 0.0) vBrightness *= 1.0 - smoothstep(0.0, uCoreRadius, length(p));',
+        '    gl_PointSize = uSize * size * (1.0 + highlight) * (uScale / -mvPosition.z);',
+        '    gl_Position = projectionMatrix * mvPosition;',
+        '}'
+    ].join('\n');
+
+    const fragmentShader = [
+        'varying vec3 vColor;',
+        'varying float vBrightness;',
+        '',
+        'void main() {',
+        '    float d = length(gl_PointCoord - vec2(0.5));',
+        '    float alpha = 1.0 - smoothstep(0.15, 0.5, d);',
+        '    if (alpha <= 0.0) discard;',
+        '    gl_FragColor = vec4(vColor * vBrightness, alpha);',
+        '}'
+    ].join('\n');
+
+    // options.size is the point size in world units at brightness 1 and size 1, as with
+    // PointsMaterial; options.twinkle is how far (0-1) brightness dips. options.morph is a
+    // { value } object used as the uMorph uniform, so several materials can share it.
+    function create(options = {}) {
+        return new THREE.ShaderMaterial({
+            uniforms: {
+                uTime: { value: 0 },
+                uSize: { value: options.size || 0.025 },
+                uScale: { value: 1 },
+                uTwinkle: { value: options.twinkle === undefined ? 0.35 : options.twinkle },
+                uMorph: options.morph || { value: 1 },
+                uSelected: { value: new THREE.Vector4() },
+                uHovered: { value: new THREE.Vector4() },
+                uHighlightRadius: { value: options.highlightRadius || 0.3 },
+                uCoreRadius: { value: 0 }
+            },
+            vertexShader,
+            fragmentShader,
+            vertexColors: true,
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending
+        });
+    }
+
+    return { create };
+})();
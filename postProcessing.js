@@ -0,0 +1,210 @@
+// postProcessing.js
+// Post-processing for the galaxy: selective bloom, a focus pull, chromatic aberration and
+// a vignette, drawn with a few full-screen passes. Only objects on BLOOM_LAYER glow (see
+// enableBloom); the focus pull blurs everything away from a point on screen, which is
+// cheap and reads as depth of field for a scene of additive points that write no depth.
+// Needs three.js loaded first.
+var PostProcessing = (function () {
+    const BLOOM_LAYER = 1;
+
+    const quadVertexShader = [
+        'varying vec2 vUv;',
+        '',
+        'void main() {',
+        '    vUv = uv;',
+        '    gl_Position = vec4(position.xy, 0.0, 1.0);',
+        '}'
+    ].join('\n');
+
+    // Nine-tap Gaussian along uDirection; spread widens the taps for a bigger blur.
+    const blurFragmentShader = [
+        'uniform sampler2D tInput;',
+        'uniform vec2 uDirection;', // texel size along the blur axis
+        'uniform float uSpread;',
+        'varying vec2 vUv;',
+        '',
+        'void main() {',
+        '    vec2 offset = uDirection * uSpread;',
+        '    vec3 sum = texture2D(tInput, vUv).rgb * 0.227027;',
+        '    sum += (texture2D(tInput, vUv + offset).rgb + texture2D(tInput, vUv - offset).rgb) * 0.1945946;',
+        '    sum += (texture2D(tInput, vUv + offset * 2.0).rgb + texture2D(tInput, vUv - offset * 2.0).rgb) * 0.1216216;',
+        '    sum += (texture2D(tInput, vUv + offset * 3.0).rgb + texture2D(tInput, vUv - offset * 3.0).rgb) * 0.054054;',
+        '    sum += (texture2D(tInput, vUv + offset * 4.0).rgb + texture2D(tInput, vUv - offset * 4.0).rgb) * 0.016216;',
+        '    gl_FragColor = vec4(sum, 1.0);',
+        '}'
+    ].join('\n');
+
+    const compositeFragmentShader = [
+        'uniform sampler2D tScene;',
+        'uniform sampler2D tBloom;',
+        'uniform sampler2D tFocus;',
+        'uniform float uBloomStrength;',
+        'uniform float uAberration;',
+        'uniform float uVignette;',
+        'uniform vec2 uFocusPoint;',
+        'uniform float uFocusAmount;',
+        'uniform float uAspect;',
+        'varying vec2 vUv;',
+        '',
+        'void main() {',
+        '    vec2 fromCentre = vUv - 0.5;',
+        '    vec2 shift = fromCentre * length(fromCentre) * uAberration;', // none in the middle, most at the edges
+        '    vec3 colour = vec3(texture2D(tScene, vUv + shift).r, texture2D(tScene, vUv).g, texture2D(tScene, vUv - shift).b);',
+        '    if (uFocusAmount > 0.0) {',
+        '        float away = length((vUv - uFocusPoint) * vec2(uAspect, 1.0));',
+        '        colour = mix(colour, texture2D(tFocus, vUv).rgb, uFocusAmount * smoothstep(0.05, 0.45, away));',
+        '    }',
+        '    colour += texture2D(tBloom, vUv).rgb * uBloomStrength;',
+        '    colour *= 1.0 - uVignette * smoothstep(0.25, 0.75, length(fromCentre));',
+        '    gl_FragColor = vec4(colour, 1.0);',
+        '}'
+    ].join('\n');
+
+    // Puts object and everything under it on the bloom layer, as well as wherever it is.
+    function enableBloom(object) {
+        object.traverse(child => child.layers.enable(BLOOM_LAYER));
+        return object;
+    }
+
+    function createTarget(options) {
+        return new THREE.WebGLRenderTarget(1, 1, Object.assign({
+            minFilter: THREE.LinearFilter,
+            magFilter: THREE.LinearFilter,
+            format: THREE.RGBAFormat,
+            depthBuffer: false
+        }, options));
+    }
+
+    // options.bloomStrength (default 1.1), options.aberration (default 0.012, the colour
+    // split at the corners as a share of the screen) and options.vignette (default 0.35,
+    // how much the corners darken). Call setSize with the drawing-buffer size.
+    function create(renderer, options = {}) {
+        const sceneTarget = createTarget({ depthBuffer: true });
+        const bloomTarget = createTarget();
+        const bloomTemp = createTarget();
+        const focusTarget = createTarget();
+        const focusTemp = createTarget();
+        const targets = [sceneTarget, bloomTarget, bloomTemp, focusTarget, focusTemp];
+
+        const blurMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                tInput: { value: null },
+                uDirection: { value: new THREE.Vector2() },
+                uSpread: { value: 1 }
+            },
+            vertexShader: quadVertexShader,
+            fragmentShader: blurFragmentShader,
+            depthTest: false,
+            depthWrite: false
+        });
+        const compositeMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                tScene: { value: sceneTarget.texture },
+                tBloom: { value: bloomTarget.texture },
+                tFocus: { value: focusTarget.texture },
+                uBloomStrength: { value: options.bloomStrength === undefined ? 1.1 : options.bloomStrength },
+                uAberration: { value: options.aberration === undefined ? 0.012 : options.aberration },
+                uVignette: { value: options.vignette === undefined ? 0.35 : options.vignette },
+                uFocusPoint: { value: new THREE.Vector2(0.5, 0.5) },
+                uFocusAmount: { value: 0 },
+                uAspect: { value: 1 }
+            },
+            vertexShader: quadVertexShader,
+            fragmentShader: compositeFragmentShader,
+            depthTest: false,
+            depthWrite: false
+        });
+
+        const quadScene = new THREE.Scene();
+        const quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+        const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), compositeMaterial);
+        quad.frustumCulled = false;
+        quadScene.add(quad);
+        const savedClearColor = new THREE.Color();
+
+        function setSize(width, height) {
+            sceneTarget.setSize(width, height);
+            // Blurs run at half resolution: cheaper, and wider for the same taps.
+            const halfWidth = Math.max(1, Math.floor(width / 2));
+            const halfHeight = Math.max(1, Math.floor(height / 2));
+            [bloomTarget, bloomTemp, focusTarget, focusTemp].forEach(target => target.setSize(halfWidth, halfHeight));
+            compositeMaterial.uniforms.uAspect.value = width / Math.max(1, height);
+        }
+
+        function drawQuad(material, target) {
+            quad.material = material;
+            renderer.setRenderTarget(target);
+            renderer.render(quadScene, quadCamera);
+        }
+
+        // Blurs source into target (both ways), using temp in between.
+        function blur(source, temp, target, spread) {
+            const u = blurMaterial.uniforms;
+            u.uSpread.value = spread;
+            u.tInput.value = source.texture;
+            u.uDirection.value.set(1 / temp.width, 0);
+            drawQuad(blurMaterial, temp);
+            u.tInput.value = temp.texture;
+            u.uDirection.value.set(0, 1 / temp.height);
+            drawQuad(blurMaterial, target);
+        }
+
+        // Draws scene to the screen with the effects. hooks.beforeBloom / afterBloom run
+        // around the bloom pass, for materials that draw differently in it.
+        function render(scene, camera, hooks = {}) {
+            const autoClear = renderer.autoClear;
+            renderer.autoClear = true;
+            renderer.setRenderTarget(sceneTarget);
+            renderer.render(scene, camera);
+
+            // The bloom layer alone, over black.
+            const background = scene.background;
+            const layerMask = camera.layers.mask;
+            const clearAlpha = renderer.getClearAlpha();
+            renderer.getClearColor(savedClearColor);
+            scene.background = null;
+            renderer.setClearColor(0x000000, 1);
+            camera.layers.set(BLOOM_LAYER);
+            if (hooks.beforeBloom) hooks.beforeBloom();
+            renderer.setRenderTarget(bloomTarget);
+            renderer.render(scene, camera);
+            if (hooks.afterBloom) hooks.afterBloom();
+            camera.layers.mask = layerMask;
+            renderer.setClearColor(savedClearColor, clearAlpha);
+            scene.background = background;
+
+            blur(bloomTarget, bloomTemp, bloomTarget, 1);
+            blur(bloomTarget, bloomTemp, bloomTarget, 2.5);
+            if (compositeMaterial.uniforms.uFocusAmount.value > 0) {
+                blur(sceneTarget, focusTemp, focusTarget, 1);
+                blur(focusTarget, focusTemp, focusTarget, 2);
+            }
+
+            drawQuad(compositeMaterial, null);
+            renderer.autoClear = autoClear;
+        }
+
+        // x, y are in [0, 1] from the bottom left; amount 0 turns the focus pull off.
+        function setFocus(x, y, amount) {
+            compositeMaterial.uniforms.uFocusPoint.value.set(x, y);
+            compositeMaterial.uniforms.uFocusAmount.value = amount;
+        }
+
+        // After a lost WebGL context comes back: the targets' framebuffers went with it, so
+        // they are released and three.js allocates new ones on the next render.
+        function resetTargets() {
+            targets.forEach(target => target.dispose());
+        }
+
+        function dispose() {
+            targets.forEach(target => target.dispose());
+            blurMaterial.dispose();
+            compositeMaterial.dispose();
+            quad.geometry.dispose();
+        }
+
+        return { render, setSize, setFocus, resetTargets, dispose };
+    }
+
+    return { create, enableBloom, BLOOM_LAYER };
+})();
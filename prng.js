@@ -0,0 +1,32 @@
+// prng.js
+// Deterministic random numbers shared by the main thread and workers (load with a
+// <script> tag or importScripts). Same seed and stream name -> same sequence everywhere.
+var Prng = (function () {
+    // FNV-1a over the string form of the seed, so "42" and 42 are the same seed.
+    function hashSeed(seed) {
+        const str = String(seed);
+        let h = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            h ^= str.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        return h >>> 0;
+    }
+
+    function mulberry32(a) {
+        return function () {
+            a = (a + 0x6D2B79F5) | 0;
+            let t = Math.imul(a ^ (a >>> 15), 1 | a);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Returns a Math.random()-style function. Separate streams (e.g. 'galaxy', 'stars')
+    // keep one generator's draw count from shifting another's output.
+    function create(seed, stream = '') {
+        return mulberry32(hashSeed(stream ? seed + ':' + stream : seed));
+    }
+
+    return { create, hashSeed };
+})();
@@ -0,0 +1,215 @@
+// projectManifest.js
+// Reads projects.json for both the galaxy and the flat fallback, so the two views accept
+// exactly the same projects. validate(manifest) returns { projects, telemetry, tour,
+// errors }: broken entries are dropped and described in errors, and the projects left
+// are normalised (missing text is '', missing lists are []). load(url) fetches and
+// validates, warning about each error. Needs markdown.js for its link check.
+var ProjectManifest = (function () {
+    const PROJECT_ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+    const PROJECT_DATE_PATTERN = /^\d{4}-\d{2}(-\d{2})?$/;
+    const PROJECT_METRIC_KEYS = ['commits', 'stars', 'loc'];
+    const PROJECT_MEDIA_TYPES = ['image', 'video'];
+
+    // The galaxy HUD's readout slots and the named metrics that can fill them
+    // (galacticPortfolio.js reads the metrics from a project).
+    const TELEMETRY_SLOTS = ['distance', 'temperature', 'compA', 'compB'];
+    const TELEMETRY_METRICS = ['commits', 'stars', 'loc', 'yearsActive', 'languages'];
+
+    // Which metric fills each HUD slot when a project is selected.
+    // projects.json can override any slot under its top-level "telemetry" key.
+    const DEFAULT_TELEMETRY = {
+        distance: { metric: 'commits', label: 'Commits', unit: '', fixed: 0 },
+        temperature: { metric: 'loc', label: 'Lines of code', unit: '', fixed: 0 },
+        compA: { metric: 'stars', label: 'Stars', unit: '', fixed: 0 },
+        compB: { metric: 'yearsActive', label: 'Years active', unit: 'yr', fixed: 1 }
+    };
+
+    // Guided tour timing; the manifest's "tour" key overrides it.
+    const DEFAULT_TOUR = { dwell: 8000, orbitSpeed: 6, loop: true };
+
+    function isPlainObject(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function isNonNegativeNumber(value) {
+        return typeof value === 'number' && isFinite(value) && value >= 0;
+    }
+
+    function isNonEmptyString(value) {
+        return typeof value === 'string' && !!value.trim();
+    }
+
+    function isOptionalString(value) {
+        return value === undefined || typeof value === 'string';
+    }
+
+    // Returns { project } for a valid entry, or { errors } describing what is wrong with it.
+    function validateProject(raw, i, seenIds) {
+        const where = 'projects[' + i + ']';
+        if (!isPlainObject(raw)) return { errors: [where + ' must be an object'] };
+
+        const errors = [];
+        if (typeof raw.id !== 'string' || !PROJECT_ID_PATTERN.test(raw.id)) errors.push(where + '.id must be a lowercase slug like "my-project"');
+        else if (seenIds.has(raw.id)) errors.push(where + '.id "' + raw.id + '" is used by another project');
+        if (typeof raw.title !== 'string' || !raw.title.trim()) errors.push(where + '.title is required');
+        ['subtitle', 'description', 'role', 'details'].forEach(key => {
+            if (!isOptionalString(raw[key])) errors.push(where + '.' + key + ' must be a string');
+        });
+        if (raw.url !== undefined && raw.url !== null && (typeof raw.url !== 'string' || !Markdown.safeUrl(raw.url))) {
+            errors.push(where + '.url must be an http(s), mailto or relative URL, or null');
+        }
+        ['tags', 'stack'].forEach(key => {
+            if (raw[key] !== undefined && (!Array.isArray(raw[key]) || raw[key].some(t => typeof t !== 'string' || !t))) {
+                errors.push(where + '.' + key + ' must be an array of non-empty strings');
+            }
+        });
+        if (raw.collaborators !== undefined && (!Array.isArray(raw.collaborators) || raw.collaborators.some(c => !isPlainObject(c) || !isNonEmptyString(c.name) ||
+                !isOptionalString(c.role) || (c.url !== undefined && !/^https?:\/\//.test(c.url))))) {
+            errors.push(where + '.collaborators must be an array of { name, role?, url? } with http(s) urls');
+        }
+        if (raw.timeline !== undefined && (!Array.isArray(raw.timeline) || raw.timeline.some(t => !isPlainObject(t) || !PROJECT_DATE_PATTERN.test(t.date) || !isNonEmptyString(t.label)))) {
+            errors.push(where + '.timeline must be an array of { date: YYYY-MM or YYYY-MM-DD, label }');
+        }
+        if (raw.media !== undefined && (!Array.isArray(raw.media) || raw.media.some(m => !isPlainObject(m) || PROJECT_MEDIA_TYPES.indexOf(m.type) === -1 ||
+                !isNonEmptyString(m.src) || !Markdown.safeUrl(m.src) || !isOptionalString(m.alt) || !isOptionalString(m.caption) ||
+                (m.poster !== undefined && (typeof m.poster !== 'string' || !Markdown.safeUrl(m.poster)))))) {
+            errors.push(where + '.media must be an array of { type: "image" or "video", src, alt?, caption?, poster? } with http(s) or relative src and poster');
+        }
+        if (raw.dates !== undefined) {
+            if (!isPlainObject(raw.dates)) errors.push(where + '.dates must be an object');
+            else {
+                if (!PROJECT_DATE_PATTERN.test(raw.dates.start)) errors.push(where + '.dates.start must be YYYY-MM or YYYY-MM-DD');
+                if (raw.dates.end != null && !PROJECT_DATE_PATTERN.test(raw.dates.end)) errors.push(where + '.dates.end must be YYYY-MM, YYYY-MM-DD or null');
+            }
+        }
+        if (raw.metrics !== undefined) {
+            if (!isPlainObject(raw.metrics)) errors.push(where + '.metrics must be an object');
+            else {
+                PROJECT_METRIC_KEYS.forEach(key => {
+                    if (raw.metrics[key] !== undefined && !isNonNegativeNumber(raw.metrics[key])) errors.push(where + '.metrics.' + key + ' must be a non-negative number');
+                });
+                const langs = raw.metrics.languages;
+                if (langs !== undefined && (!isPlainObject(langs) || Object.keys(langs).some(k => !isNonNegativeNumber(langs[k])))) {
+                    errors.push(where + '.metrics.languages must map language names to percentages');
+                }
+            }
+        }
+        if (raw.anchor !== undefined && (!isPlainObject(raw.anchor) || ['x', 'y', 'z'].some(k => typeof raw.anchor[k] !== 'number' || !isFinite(raw.anchor[k])))) {
+            errors.push(where + '.anchor must have numeric x, y and z');
+        }
+        const tour = validateTourSettings(raw.tour, where + '.tour', errors, false);
+        if (errors.length) return { errors };
+
+        return {
+            project: {
+                id: raw.id,
+                title: raw.title.trim(),
+                subtitle: raw.subtitle || '',
+                description: raw.description || '',
+                url: raw.url || null,
+                tags: (raw.tags || []).slice(),
+                dates: raw.dates ? { start: raw.dates.start, end: raw.dates.end || null } : null,
+                metrics: raw.metrics ? Object.assign({}, raw.metrics, { languages: Object.assign({}, raw.metrics.languages) }) : { languages: {} },
+                anchor: raw.anchor ? { x: raw.anchor.x, y: raw.anchor.y, z: raw.anchor.z } : null,
+                tour,
+                role: raw.role || '',
+                stack: (raw.stack || []).slice(),
+                collaborators: (raw.collaborators || []).map(c => ({ name: c.name.trim(), role: c.role || '', url: c.url || null })),
+                timeline: (raw.timeline || []).map(t => ({ date: t.date, label: t.label })),
+                media: (raw.media || []).map(m => ({ type: m.type, src: m.src, alt: m.alt || '', caption: m.caption || '', poster: m.poster || null })),
+                details: raw.details || ''
+            }
+        };
+    }
+
+    // Merges the manifest's "telemetry" overrides onto the default slot mapping.
+    function validateTelemetryConfig(raw, errors) {
+        const telemetry = {};
+        TELEMETRY_SLOTS.forEach(slot => { telemetry[slot] = Object.assign({}, DEFAULT_TELEMETRY[slot]); });
+        if (raw === undefined) return telemetry;
+        if (!isPlainObject(raw)) {
+            errors.push('telemetry must be an object');
+            return telemetry;
+        }
+        Object.keys(raw).forEach(slot => {
+            const cfg = raw[slot];
+            let problem = null;
+            if (!telemetry[slot]) problem = ' is not a HUD slot (expected one of ' + TELEMETRY_SLOTS.join(', ') + ')';
+            else if (!isPlainObject(cfg)) problem = ' must be an object';
+            else if (cfg.metric !== undefined && TELEMETRY_METRICS.indexOf(cfg.metric) === -1) problem = '.metric "' + cfg.metric + '" is unknown';
+            else if ((cfg.label !== undefined && typeof cfg.label !== 'string') || (cfg.unit !== undefined && typeof cfg.unit !== 'string')) problem = '.label and .unit must be strings';
+            else if (cfg.fixed !== undefined && !(Number.isInteger(cfg.fixed) && cfg.fixed >= 0 && cfg.fixed <= 4)) problem = '.fixed must be an integer from 0 to 4';
+            if (problem) {
+                errors.push('telemetry.' + slot + problem);
+                return;
+            }
+            ['metric', 'label', 'unit', 'fixed'].forEach(key => {
+                if (cfg[key] !== undefined) telemetry[slot][key] = cfg[key];
+            });
+        });
+        return telemetry;
+    }
+
+    // Tour timing, either manifest-wide or for one project. Returns only the keys that were set.
+    // loop is about the whole tour, so only the manifest-wide settings may have it.
+    function validateTourSettings(raw, where, errors, allowLoop = true) {
+        const settings = {};
+        if (raw === undefined) return settings;
+        if (!isPlainObject(raw)) {
+            errors.push(where + ' must be an object');
+            return settings;
+        }
+        if (raw.dwell !== undefined) {
+            if (isNonNegativeNumber(raw.dwell)) settings.dwell = raw.dwell;
+            else errors.push(where + '.dwell must be a non-negative number of milliseconds');
+        }
+        if (raw.orbitSpeed !== undefined) {
+            if (typeof raw.orbitSpeed === 'number' && isFinite(raw.orbitSpeed)) settings.orbitSpeed = raw.orbitSpeed;
+            else errors.push(where + '.orbitSpeed must be a number of degrees per second');
+        }
+        if (raw.loop !== undefined && !allowLoop) {
+            errors.push(where + '.loop only applies to the manifest-wide tour settings');
+        } else if (raw.loop !== undefined) {
+            if (typeof raw.loop === 'boolean') settings.loop = raw.loop;
+            else errors.push(where + '.loop must be true or false');
+        }
+        return settings;
+    }
+
+    // Invalid entries are dropped (and reported) so one typo doesn't take the whole panel down.
+    function validate(manifest) {
+        if (!isPlainObject(manifest) || !Array.isArray(manifest.projects)) {
+            return { projects: [], telemetry: DEFAULT_TELEMETRY, tour: DEFAULT_TOUR, errors: ['manifest must be an object with a "projects" array'] };
+        }
+        const seenIds = new Set();
+        const valid = [];
+        const errors = [];
+        const telemetry = validateTelemetryConfig(manifest.telemetry, errors);
+        const tour = Object.assign({}, DEFAULT_TOUR, validateTourSettings(manifest.tour, 'tour', errors));
+        manifest.projects.forEach((raw, i) => {
+            const result = validateProject(raw, i, seenIds);
+            if (result.project) {
+                seenIds.add(result.project.id);
+                valid.push(result.project);
+            } else {
+                errors.push(...result.errors);
+            }
+        });
+        return { projects: valid, telemetry, tour, errors };
+    }
+
+    function load(url) {
+        return fetch(url)
+            .then(res => {
+                if (!res.ok) throw new Error('HTTP ' + res.status);
+                return res.json();
+            })
+            .then(manifest => {
+                const result = validate(manifest);
+                result.errors.forEach(msg => console.warn(url + ': ' + msg));
+                return result;
+            });
+    }
+
+    return { load, validate, TELEMETRY_SLOTS, DEFAULT_TELEMETRY, DEFAULT_TOUR };
+})();
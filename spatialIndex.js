@@ -0,0 +1,257 @@
+// spatialIndex.js
+// Octree over a flat xyz Float32Array, shared by the main thread and workers. Nodes split
+// into octants until they hold LEAF_SIZE points, so the crowded core of the galaxy gets
+// small cells and the sparse rim big ones (a uniform grid would put thousands of points in
+// each core cell). Points are reordered so every node is a contiguous range, and each node
+// keeps the tight box around its points. It is all typed arrays, so an index can be
+// transferred between threads without copying. Queries return exactly what a linear scan
+// would, ties going to the lower index.
+var SpatialIndex = (function () {
+    const LEAF_SIZE = 24;
+    const MAX_DEPTH = 48; // deep enough for the crowded core, and stops on duplicate points
+
+    function build(positions) {
+        const count = positions.length / 3;
+        const ids = new Uint32Array(count);
+        const coords = new Float32Array(positions);
+        for (let i = 0; i < count; i++) ids[i] = i;
+        const scratchIds = new Uint32Array(count);
+        const scratchCoords = new Float32Array(count * 3);
+
+        // Per node: first point, point count, first child (-1 for a leaf), child count, box.
+        const start = [], size = [], firstChild = [], childCount = [], boxes = [];
+        const depth = [];
+        function addNode(lo, n, d) {
+            const box = [Infinity, Infinity, Infinity, -Infinity, -Infinity, -Infinity];
+            for (let j = lo * 3, end = (lo + n) * 3; j < end; j += 3) {
+                for (let k = 0; k < 3; k++) {
+                    const v = coords[j + k];
+                    if (v < box[k]) box[k] = v;
+                    if (v > box[k + 3]) box[k + 3] = v;
+                }
+            }
+            start.push(lo);
+            size.push(n);
+            firstChild.push(-1);
+            childCount.push(0);
+            depth.push(d);
+            boxes.push(...box);
+            return start.length - 1;
+        }
+
+        if (count > 0) addNode(0, count, 0);
+        const pending = count > 0 ? [0] : [];
+        const octantCount = new Uint32Array(8);
+        while (pending.length) {
+            const node = pending.pop();
+            const lo = start[node], n = size[node];
+            if (n <= LEAF_SIZE || depth[node] >= MAX_DEPTH) continue;
+            const b = node * 6;
+            const mx = (boxes[b] + boxes[b + 3]) / 2, my = (boxes[b + 1] + boxes[b + 4]) / 2, mz = (boxes[b + 2] + boxes[b + 5]) / 2;
+            const octant = i => (coords[i * 3] > mx ? 1 : 0) | (coords[i * 3 + 1] > my ? 2 : 0) | (coords[i * 3 + 2] > mz ? 4 : 0);
+
+            // Counting sort of the node's points by octant.
+            octantCount.fill(0);
+            for (let i = lo; i < lo + n; i++) octantCount[octant(i)]++;
+            let filled = 0;
+            for (let o = 0; o < 8; o++) if (octantCount[o]) filled++;
+            if (filled < 2) continue; // all in one octant: the box is degenerate
+            const offsets = [];
+            for (let o = 0, at = lo; o < 8; o++) {
+                offsets.push(at);
+                at += octantCount[o];
+            }
+            const next = offsets.slice();
+            for (let i = lo; i < lo + n; i++) {
+                const slot = next[octant(i)]++;
+                scratchIds[slot] = ids[i];
+                scratchCoords[slot * 3] = coords[i * 3];
+                scratchCoords[slot * 3 + 1] = coords[i * 3 + 1];
+                scratchCoords[slot * 3 + 2] = coords[i * 3 + 2];
+            }
+            ids.set(scratchIds.subarray(lo, lo + n), lo);
+            coords.set(scratchCoords.subarray(lo * 3, (lo + n) * 3), lo * 3);
+
+            firstChild[node] = start.length;
+            childCount[node] = filled;
+            for (let o = 0; o < 8; o++) {
+                if (!octantCount[o]) continue;
+                pending.push(addNode(offsets[o], octantCount[o], depth[node] + 1));
+            }
+        }
+
+        return {
+            ids,
+            coords,
+            nodeStart: new Uint32Array(start),
+            nodeSize: new Uint32Array(size),
+            nodeChild: new Int32Array(firstChild),
+            nodeChildCount: new Uint8Array(childCount),
+            nodeBoxes: new Float32Array(boxes),
+            count
+        };
+    }
+
+    // Buffers to list when posting an index to another thread.
+    function transferables(index) {
+        return [index.ids.buffer, index.coords.buffer, index.nodeStart.buffer, index.nodeSize.buffer,
+            index.nodeChild.buffer, index.nodeChildCount.buffer, index.nodeBoxes.buffer];
+    }
+
+    // Traversal stack of node ids, reused across calls, and the children of one node with
+    // their sort keys.
+    let stack = new Int32Array(256);
+    const childIds = new Int32Array(8);
+    const childKeys = new Float64Array(8);
+
+    function push(sp, node) {
+        if (sp === stack.length) {
+            const grown = new Int32Array(stack.length * 2);
+            grown.set(stack);
+            stack = grown;
+        }
+        stack[sp] = node;
+        return sp + 1;
+    }
+
+    // Pushes the n children in childIds so the one with the smallest key is popped first.
+    function pushByKey(sp, n) {
+        for (let i = 1; i < n; i++) {
+            const id = childIds[i], key = childKeys[i];
+            let j = i - 1;
+            while (j >= 0 && childKeys[j] < key) {
+                childIds[j + 1] = childIds[j];
+                childKeys[j + 1] = childKeys[j];
+                j--;
+            }
+            childIds[j + 1] = id;
+            childKeys[j + 1] = key;
+        }
+        for (let i = 0; i < n; i++) sp = push(sp, childIds[i]);
+        return sp;
+    }
+
+    function boxDistSq(boxes, b, x, y, z) {
+        const dx = Math.max(boxes[b] - x, 0, x - boxes[b + 3]);
+        const dy = Math.max(boxes[b + 1] - y, 0, y - boxes[b + 4]);
+        const dz = Math.max(boxes[b + 2] - z, 0, z - boxes[b + 5]);
+        return dx * dx + dy * dy + dz * dz;
+    }
+
+    // Exact nearest point to (x, y, z). Points whose original index is >= limit are
+    // ignored. Returns null when nothing qualifies.
+    function nearest(index, x, y, z, limit = Infinity) {
+        const { ids, coords, nodeStart, nodeSize, nodeChild, nodeChildCount, nodeBoxes } = index;
+        let best = -1;
+        let bestDistSq = Infinity;
+
+        let sp = index.count > 0 ? push(0, 0) : 0;
+        while (sp > 0) {
+            const node = stack[--sp];
+            if (boxDistSq(nodeBoxes, node * 6, x, y, z) > bestDistSq) continue;
+            const first = nodeChild[node];
+            if (first === -1) {
+                for (let i = nodeStart[node], end = i + nodeSize[node]; i < end; i++) {
+                    if (ids[i] >= limit) continue;
+                    const j = i * 3;
+                    const dx = coords[j] - x, dy = coords[j + 1] - y, dz = coords[j + 2] - z;
+                    const d2 = dx * dx + dy * dy + dz * dz;
+                    if (d2 < bestDistSq || (d2 === bestDistSq && ids[i] < ids[best])) {
+                        bestDistSq = d2;
+                        best = i;
+                    }
+                }
+                continue;
+            }
+            const n = nodeChildCount[node];
+            for (let c = 0; c < n; c++) {
+                childIds[c] = first + c;
+                childKeys[c] = boxDistSq(nodeBoxes, (first + c) * 6, x, y, z);
+            }
+            sp = pushByKey(sp, n);
+        }
+
+        if (best === -1) return null;
+        const j = best * 3;
+        return { index: ids[best], x: coords[j], y: coords[j + 1], z: coords[j + 2], distSq: bestDistSq };
+    }
+
+    // Whether the ray (t >= 0) passes through the box at b grown by pad on every side.
+    function rayHitsBox(boxes, b, pad, o, d) {
+        let tMin = 0;
+        let tMax = Infinity;
+        for (let k = 0; k < 3; k++) {
+            const lo = boxes[b + k] - pad, hi = boxes[b + k + 3] + pad;
+            if (Math.abs(d[k]) < 1e-12) {
+                if (o[k] < lo || o[k] > hi) return false;
+                continue;
+            }
+            let t1 = (lo - o[k]) / d[k];
+            let t2 = (hi - o[k]) / d[k];
+            if (t1 > t2) { const tmp = t1; t1 = t2; t2 = tmp; }
+            if (t1 > tMin) tMin = t1;
+            if (t2 < tMax) tMax = t2;
+            if (tMin > tMax) return false;
+        }
+        return true;
+    }
+
+    // Squared distance from the ray (t >= 0) to the centre of the box at b.
+    function rayCentreDistSq(boxes, b, o, d) {
+        const vx = (boxes[b] + boxes[b + 3]) / 2 - o[0];
+        const vy = (boxes[b + 1] + boxes[b + 4]) / 2 - o[1];
+        const vz = (boxes[b + 2] + boxes[b + 5]) / 2 - o[2];
+        const t = Math.max(0, vx * d[0] + vy * d[1] + vz * d[2]);
+        const px = vx - d[0] * t, py = vy - d[1] * t, pz = vz - d[2] * t;
+        return px * px + py * py + pz * pz;
+    }
+
+    // Exact point with the smallest perpendicular distance to the ray, in front of
+    // its origin and within maxPerpDist. dir must be normalized; limit as for nearest().
+    // Children nearest the ray are searched first, so the bound tightens quickly and most
+    // of the tree is skipped.
+    function raycast(index, ox, oy, oz, dx, dy, dz, maxPerpDist, limit = Infinity) {
+        const { ids, coords, nodeStart, nodeSize, nodeChild, nodeChildCount, nodeBoxes } = index;
+        const o = [ox, oy, oz], d = [dx, dy, dz];
+        let best = -1;
+        let bestPerp2 = maxPerpDist * maxPerpDist;
+
+        // Rounding in the box test grows with the distance from the origin; the slack keeps
+        // it from dropping a box that holds a point tied with the best.
+        const slack = 1e-12 * (1 + Math.abs(ox) + Math.abs(oy) + Math.abs(oz));
+        let sp = index.count > 0 ? push(0, 0) : 0;
+        while (sp > 0) {
+            const node = stack[--sp];
+            if (!rayHitsBox(nodeBoxes, node * 6, Math.sqrt(bestPerp2) + slack, o, d)) continue;
+            const first = nodeChild[node];
+            if (first === -1) {
+                for (let i = nodeStart[node], end = i + nodeSize[node]; i < end; i++) {
+                    if (ids[i] >= limit) continue;
+                    const j = i * 3;
+                    const vx = coords[j] - ox, vy = coords[j + 1] - oy, vz = coords[j + 2] - oz;
+                    const t = vx * dx + vy * dy + vz * dz;
+                    if (t <= 0) continue;
+                    const px = vx - dx * t, py = vy - dy * t, pz = vz - dz * t;
+                    const perp2 = px * px + py * py + pz * pz;
+                    if (perp2 < bestPerp2 || (perp2 === bestPerp2 && best !== -1 && ids[i] < ids[best])) {
+                        bestPerp2 = perp2;
+                        best = i;
+                    }
+                }
+                continue;
+            }
+            const n = nodeChildCount[node];
+            for (let c = 0; c < n; c++) {
+                childIds[c] = first + c;
+                childKeys[c] = rayCentreDistSq(nodeBoxes, (first + c) * 6, o, d);
+            }
+            sp = pushByKey(sp, n);
+        }
+
+        if (best === -1) return null;
+        const j = best * 3;
+        return { index: ids[best], x: coords[j], y: coords[j + 1], z: coords[j + 2], perpDist2: bestPerp2 };
+    }
+
+    return { build, transferables, nearest, raycast };
+})();
@@ -0,0 +1,21 @@
+// spatialIndexWorker.js
+importScripts('spatialIndex.js');
+
+// Builds the index and sends a copy back, then stays up to answer ray picks (hover
+// picking) against its own copy so the main thread never has to walk the tree for them.
+let index = null;
+
+self.onmessage = function (e) {
+    const data = e.data;
+    if (data.type === 'raycast') {
+        const hit = index && SpatialIndex.raycast(index, data.ox, data.oy, data.oz, data.dx, data.dy, data.dz, data.maxPerpDist, data.limit);
+        self.postMessage({ type: 'raycast', id: data.id, hit });
+        return;
+    }
+    index = SpatialIndex.build(new Float32Array(data.positions));
+    const copy = {};
+    Object.keys(index).forEach(key => {
+        copy[key] = ArrayBuffer.isView(index[key]) ? index[key].slice() : index[key];
+    });
+    self.postMessage({ type: 'index', index: copy }, SpatialIndex.transferables(copy));
+};
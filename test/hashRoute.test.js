@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./loadScripts');
+
+const { HashRoute } = loadScripts(['hashRoute.js']);
+
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+const cam = { position: { x: 1.5, y: -2, z: 30.25 }, target: { x: 0, y: 0.1, z: -4 } };
+
+test('routes survive a round trip', () => {
+    [
+        { type: 'project', id: 'stellar-ecommerce', cam: null },
+        { type: 'project', id: 'odd id/with?chars#', cam },
+        { type: 'star', index: 12345, cam: null },
+        { type: 'star', index: 0, cam },
+        { type: 'view', cam }
+    ].forEach(route => {
+        assert.deepStrictEqual(plain(HashRoute.parse(HashRoute.format(route))), route);
+    });
+});
+
+test('format gives the documented hashes', () => {
+    assert.strictEqual(HashRoute.format({ type: 'project', id: 'a-b' }), '#/project/a-b');
+    assert.strictEqual(HashRoute.format({ type: 'star', index: 7 }), '#/star/7');
+    assert.strictEqual(HashRoute.format({ type: 'view', cam }), '#/view?cam=1.5,-2,30.25,0,0.1,-4');
+    assert.strictEqual(HashRoute.format({ type: null, cam }), '#/');
+});
+
+test('camera values are rounded to two decimals', () => {
+    const hash = HashRoute.format({ type: 'view', cam: { position: { x: 1.23456, y: 0, z: 0 }, target: { x: 0, y: 0, z: -0.004 } } });
+    assert.strictEqual(hash, '#/view?cam=1.23,0,0,0,0,0');
+});
+
+test('anything else is no route', () => {
+    ['', '#', '#/', '#/nowhere', '#/project', '#/star/abc', '#/star/-1', '#/project/%E0', '#/project/%'].forEach(hash => {
+        assert.strictEqual(HashRoute.parse(hash).type, null, hash);
+    });
+});
+
+test('a malformed ?cam= is ignored', () => {
+    ['1,2,3', '1,2,3,4,5,x', '1,2,3,4,5,6,7', ''].forEach(value => {
+        const route = HashRoute.parse('#/star/3?cam=' + value);
+        assert.strictEqual(route.type, 'star');
+        assert.strictEqual(route.cam, null, value);
+    });
+});
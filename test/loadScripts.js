@@ -0,0 +1,18 @@
+// test/loadScripts.js
+// The modules are plain <script> files that each declare one global, so the tests run
+// them in a fresh context the way the page does and read the globals back. globals adds
+// anything the scripts expect from the browser.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function loadScripts(files, globals = {}) {
+    const context = vm.createContext(Object.assign({ console, URLSearchParams }, globals));
+    files.forEach(file => {
+        const source = fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    });
+    return context;
+}
+
+module.exports = { loadScripts };
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./loadScripts');
+
+// Just enough of the DOM for render(): nodes that collect their children.
+function createNode(tagName) {
+    return { tagName, childNodes: [], appendChild(child) { this.childNodes.push(child); return child; } };
+}
+const document = {
+    createElement: tag => createNode(tag.toUpperCase()),
+    createTextNode: text => Object.assign(createNode('#text'), { textContent: text }),
+    createDocumentFragment: () => createNode('#fragment')
+};
+
+const { Markdown } = loadScripts(['markdown.js'], { document });
+
+function findAll(node, tagName, found = []) {
+    if (node.tagName === tagName) found.push(node);
+    node.childNodes.forEach(child => findAll(child, tagName, found));
+    return found;
+}
+
+function text(node) {
+    return node.textContent !== undefined ? node.textContent : node.childNodes.map(text).join('');
+}
+
+test('safeUrl keeps http(s), mailto and relative URLs', () => {
+    ['https://example.com/a', 'http://example.com', 'HTTPS://EXAMPLE.COM', 'mailto:me@example.com',
+        'projects/shot.png', '/media/clip.mp4', '#details', '?page=2'].forEach(url => {
+        assert.strictEqual(Markdown.safeUrl(url), url);
+    });
+});
+
+test('safeUrl rejects other schemes', () => {
+    ['javascript:alert(1)', 'JavaScript:alert(1)', 'data:text/html,<b>x</b>', 'vbscript:msgbox', 'file:///etc/passwd', 'ftp://example.com'].forEach(url => {
+        assert.strictEqual(Markdown.safeUrl(url), null, url);
+    });
+});
+
+test('render links safe URLs and opens them in a new tab', () => {
+    const links = findAll(Markdown.render('See [the source](https://example.com/repo).'), 'A');
+    assert.strictEqual(links.length, 1);
+    assert.strictEqual(links[0].href, 'https://example.com/repo');
+    assert.strictEqual(links[0].target, '_blank');
+    assert.strictEqual(text(links[0]), 'the source');
+});
+
+test('render keeps the text of an unsafe link but drops the link', () => {
+    const fragment = Markdown.render('Click [here](javascript:alert(1)) now');
+    assert.strictEqual(findAll(fragment, 'A').length, 0);
+    assert.match(text(fragment), /Click here/);
+});
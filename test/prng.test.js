@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./loadScripts');
+
+const { Prng } = loadScripts(['prng.js']);
+
+function draw(random, n) {
+    return Array.from({ length: n }, () => random());
+}
+
+test('the same seed and stream give the same sequence', () => {
+    assert.deepStrictEqual(draw(Prng.create('andromeda', 'galaxy'), 100), draw(Prng.create('andromeda', 'galaxy'), 100));
+});
+
+test('a number seed and its string form are the same seed', () => {
+    assert.deepStrictEqual(draw(Prng.create(42), 20), draw(Prng.create('42'), 20));
+});
+
+test('different seeds and streams give different sequences', () => {
+    const base = draw(Prng.create(42, 'galaxy'), 20);
+    assert.notDeepStrictEqual(draw(Prng.create(43, 'galaxy'), 20), base);
+    assert.notDeepStrictEqual(draw(Prng.create(42, 'stars'), 20), base);
+});
+
+test('values are in [0, 1)', () => {
+    draw(Prng.create('range'), 10000).forEach(v => assert.ok(v >= 0 && v < 1, v));
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadScripts } = require('./loadScripts');
+
+const { ProjectManifest } = loadScripts(['markdown.js', 'projectManifest.js']);
+
+// Results come from another context, so compare them as plain JSON.
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function project(overrides = {}) {
+    return Object.assign({ id: 'my-project', title: 'My Project' }, overrides);
+}
+
+test('the shipped projects.json is valid', () => {
+    const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'projects.json'), 'utf8'));
+    const result = ProjectManifest.validate(manifest);
+    assert.deepStrictEqual(plain(result.errors), []);
+    assert.strictEqual(result.projects.length, manifest.projects.length);
+});
+
+test('a manifest without a projects array is rejected whole', () => {
+    [null, [], {}, { projects: {} }].forEach(manifest => {
+        const result = ProjectManifest.validate(manifest);
+        assert.strictEqual(result.projects.length, 0);
+        assert.strictEqual(result.errors.length, 1);
+    });
+});
+
+test('missing optional fields are normalised', () => {
+    const [p] = ProjectManifest.validate({ projects: [project({ title: '  My Project  ' })] }).projects;
+    assert.deepStrictEqual(plain(p), {
+        id: 'my-project', title: 'My Project', subtitle: '', description: '', url: null, tags: [], dates: null,
+        metrics: { languages: {} }, anchor: null, tour: {}, role: '', stack: [], collaborators: [], timeline: [], media: [], details: ''
+    });
+});
+
+test('broken entries are dropped and reported, the rest are kept', () => {
+    const result = ProjectManifest.validate({
+        projects: [
+            project({ id: 'Not A Slug' }),
+            project({ id: 'good' }),
+            project({ id: 'good' }),
+            project({ id: 'bad-metrics', metrics: { stars: -1 } }),
+            'not an object'
+        ]
+    });
+    assert.deepStrictEqual(plain(result.projects.map(p => p.id)), ['good']);
+    assert.strictEqual(result.errors.length, 4);
+    assert.match(result.errors[0], /projects\[0\]\.id/);
+    assert.match(result.errors[1], /"good" is used by another project/);
+    assert.match(result.errors[2], /projects\[3\]\.metrics\.stars/);
+    assert.match(result.errors[3], /projects\[4\] must be an object/);
+});
+
+test('urls and media must use a safe scheme', () => {
+    const result = ProjectManifest.validate({
+        projects: [
+            project({ id: 'a', url: 'javascript:alert(1)' }),
+            project({ id: 'b', media: [{ type: 'image', src: 'data:image/png;base64,AAAA' }] }),
+            project({ id: 'c', media: [{ type: 'video', src: 'clip.mp4', poster: 'javascript:x' }] }),
+            project({ id: 'd', url: 'https://example.com', media: [{ type: 'image', src: 'shots/d.png', alt: 'D' }] })
+        ]
+    });
+    assert.deepStrictEqual(plain(result.projects.map(p => p.id)), ['d']);
+    assert.strictEqual(result.errors.length, 3);
+});
+
+test('telemetry and tour overrides merge onto the defaults', () => {
+    const result = ProjectManifest.validate({
+        telemetry: { compA: { metric: 'commits', label: 'Commits' }, warp: {} },
+        tour: { dwell: 3000, loop: 'yes' },
+        projects: [project({ tour: { dwell: 1000, loop: false } })]
+    });
+    assert.deepStrictEqual(plain(result.telemetry.compA), { metric: 'commits', label: 'Commits', unit: '', fixed: 0 });
+    assert.deepStrictEqual(plain(result.telemetry.distance), plain(ProjectManifest.DEFAULT_TELEMETRY.distance));
+    assert.deepStrictEqual(plain(result.tour), { dwell: 3000, orbitSpeed: 6, loop: true });
+    assert.strictEqual(result.projects.length, 0); // per-project tours can't set loop
+    assert.strictEqual(result.errors.length, 3);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./loadScripts');
+
+const { Prng, SpatialIndex } = loadScripts(['prng.js', 'spatialIndex.js']);
+
+// A dense core, a thin disc and a pile of identical points, so the tree gets deep cells,
+// flat cells and cells it can't split.
+function makePoints(count, seed) {
+    const random = Prng.create(seed, 'points');
+    const positions = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+        const j = i * 3;
+        if (i % 10 === 0) {
+            positions.set([1, 2, 3], j);
+        } else if (i % 2) {
+            const r = Math.pow(random(), 3) * 2;
+            positions.set([(random() - 0.5) * r, (random() - 0.5) * r, (random() - 0.5) * r], j);
+        } else {
+            const angle = random() * Math.PI * 2, r = random() * 10;
+            positions.set([Math.cos(angle) * r, (random() - 0.5) * 0.05, Math.sin(angle) * r], j);
+        }
+    }
+    return positions;
+}
+
+// Brute force with the same arithmetic and tie-break (lowest index) as the index.
+function bruteNearest(positions, x, y, z, limit) {
+    let best = null;
+    for (let i = 0; i < Math.min(limit, positions.length / 3); i++) {
+        const dx = positions[i * 3] - x, dy = positions[i * 3 + 1] - y, dz = positions[i * 3 + 2] - z;
+        const d2 = dx * dx + dy * dy + dz * dz;
+        if (!best || d2 < best.distSq) best = { index: i, distSq: d2 };
+    }
+    return best;
+}
+
+function bruteRaycast(positions, ox, oy, oz, dx, dy, dz, maxPerpDist, limit) {
+    let best = null;
+    let bestPerp2 = maxPerpDist * maxPerpDist;
+    for (let i = 0; i < Math.min(limit, positions.length / 3); i++) {
+        const vx = positions[i * 3] - ox, vy = positions[i * 3 + 1] - oy, vz = positions[i * 3 + 2] - oz;
+        const t = vx * dx + vy * dy + vz * dz;
+        if (t <= 0) continue;
+        const px = vx - dx * t, py = vy - dy * t, pz = vz - dz * t;
+        const perp2 = px * px + py * py + pz * pz;
+        if (perp2 < bestPerp2) {
+            bestPerp2 = perp2;
+            best = { index: i, perpDist2: perp2 };
+        }
+    }
+    return best;
+}
+
+const positions = makePoints(20000, 'index');
+const index = SpatialIndex.build(positions);
+const random = Prng.create('index', 'queries');
+
+function pick(result) {
+    return result && { index: result.index, d: result.distSq !== undefined ? result.distSq : result.perpDist2 };
+}
+
+test('nearest matches brute force', () => {
+    for (let q = 0; q < 300; q++) {
+        const x = (random() - 0.5) * 24, y = (random() - 0.5) * 4, z = (random() - 0.5) * 24;
+        const limit = q % 3 ? Infinity : Math.floor(random() * 20000);
+        const expected = bruteNearest(positions, x, y, z, limit);
+        assert.deepStrictEqual(pick(SpatialIndex.nearest(index, x, y, z, limit)), expected && { index: expected.index, d: expected.distSq });
+    }
+});
+
+test('nearest breaks ties by the lowest index', () => {
+    assert.strictEqual(SpatialIndex.nearest(index, 1, 2, 3).index, 0);
+    assert.strictEqual(SpatialIndex.nearest(index, 1, 2, 3, 5).index, 0);
+});
+
+test('raycast matches brute force', () => {
+    for (let q = 0; q < 300; q++) {
+        const ox = (random() - 0.5) * 60, oy = (random() - 0.5) * 60, oz = (random() - 0.5) * 60;
+        // Aim near the middle so most rays pass through the points.
+        let dx = (random() - 0.5) * 4 - ox, dy = (random() - 0.5) * 4 - oy, dz = (random() - 0.5) * 4 - oz;
+        const len = Math.hypot(dx, dy, dz);
+        dx /= len; dy /= len; dz /= len;
+        const maxPerpDist = [0.05, 0.5, 5][q % 3];
+        const limit = q % 4 ? Infinity : Math.floor(random() * 20000);
+        const expected = bruteRaycast(positions, ox, oy, oz, dx, dy, dz, maxPerpDist, limit);
+        assert.deepStrictEqual(pick(SpatialIndex.raycast(index, ox, oy, oz, dx, dy, dz, maxPerpDist, limit)),
+            expected && { index: expected.index, d: expected.perpDist2 });
+    }
+});
+
+test('a ray pointing away from every point finds nothing', () => {
+    assert.strictEqual(SpatialIndex.raycast(index, 0, 100, 0, 0, 1, 0, 5), null);
+});
+
+test('an empty index answers null', () => {
+    const empty = SpatialIndex.build(new Float32Array(0));
+    assert.strictEqual(SpatialIndex.nearest(empty, 0, 0, 0), null);
+    assert.strictEqual(SpatialIndex.raycast(empty, 0, 0, -10, 0, 0, 1, 1), null);
+});
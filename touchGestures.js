@@ -0,0 +1,133 @@
+// touchGestures.js
+// Gesture recognition on pointer events: taps (told apart from drags, so orbiting never
+// picks), double taps, long presses and two-finger pinch/pan. A mouse only produces
+// taps, with its primary button; everything else is touch-only. Positions are client
+// coordinates.
+var TouchGestures = (function () {
+    const TAP_SLOP = 10; // px a pointer may wander and still be a tap
+    const TAP_MS = 400;
+    const DOUBLE_TAP_MS = 300;
+    const LONG_PRESS_MS = 550;
+
+    // handlers (all optional):
+    //   onTap(x, y), onDoubleTap(x, y), onLongPress(x, y)
+    //   onPinch(scale, x, y): finger spread relative to the last call, around midpoint x, y
+    //   onPan(dx, dy): midpoint movement in px since the last call
+    //   onPinchStart(), onPinchEnd()
+    // A touch tap waits DOUBLE_TAP_MS for a second tap before it is reported.
+    function create(element, handlers) {
+        const pointers = new Map(); // pointerId -> { x, y }
+        let candidate = null; // the lone pointer while it could still be a tap or long press
+        let longPressTimer = null;
+        let tapTimer = null;
+        let lastTap = null;
+        let pinch = null;
+
+        const call = (name, ...args) => { if (handlers[name]) handlers[name](...args); };
+
+        function dropCandidate() {
+            candidate = null;
+            clearTimeout(longPressTimer);
+            longPressTimer = null;
+        }
+
+        function twoFingerState() {
+            const [a, b] = Array.from(pointers.values());
+            return { distance: Math.hypot(a.x - b.x, a.y - b.y), x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+        }
+
+        function reportTap(x, y, touch) {
+            if (!touch) {
+                call('onTap', x, y);
+                return;
+            }
+            const now = performance.now();
+            if (lastTap && now - lastTap.time < DOUBLE_TAP_MS && Math.hypot(x - lastTap.x, y - lastTap.y) < TAP_SLOP * 3) {
+                clearTimeout(tapTimer);
+                lastTap = null;
+                call('onDoubleTap', x, y);
+                return;
+            }
+            lastTap = { x, y, time: now };
+            tapTimer = setTimeout(() => {
+                lastTap = null;
+                call('onTap', x, y);
+            }, DOUBLE_TAP_MS);
+        }
+
+        function onPointerDown(event) {
+            const touch = event.pointerType === 'touch';
+            if (!touch && event.button !== 0) return;
+            pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+
+            if (pointers.size === 1) {
+                candidate = { id: event.pointerId, x: event.clientX, y: event.clientY, time: performance.now(), touch };
+                if (touch) {
+                    longPressTimer = setTimeout(() => {
+                        const { x, y } = candidate;
+                        dropCandidate();
+                        clearTimeout(tapTimer);
+                        lastTap = null;
+                        call('onLongPress', x, y);
+                    }, LONG_PRESS_MS);
+                }
+            } else if (pointers.size === 2 && touch) {
+                dropCandidate();
+                pinch = twoFingerState();
+                call('onPinchStart');
+            } else {
+                dropCandidate();
+            }
+        }
+
+        function onPointerMove(event) {
+            const p = pointers.get(event.pointerId);
+            if (!p) return;
+            p.x = event.clientX;
+            p.y = event.clientY;
+            if (candidate && candidate.id === event.pointerId && Math.hypot(p.x - candidate.x, p.y - candidate.y) > TAP_SLOP) {
+                dropCandidate();
+            }
+            if (pinch && pointers.size === 2) {
+                const next = twoFingerState();
+                if (pinch.distance > 0 && next.distance > 0) call('onPinch', next.distance / pinch.distance, next.x, next.y);
+                call('onPan', next.x - pinch.x, next.y - pinch.y);
+                pinch = next;
+            }
+        }
+
+        function onPointerUp(event) {
+            if (!pointers.has(event.pointerId)) return;
+            pointers.delete(event.pointerId);
+            if (candidate && candidate.id === event.pointerId) {
+                const tap = event.type === 'pointerup' && performance.now() - candidate.time < TAP_MS;
+                const { x, y, touch } = candidate;
+                dropCandidate();
+                if (tap) reportTap(x, y, touch);
+            }
+            if (pinch && pointers.size < 2) {
+                pinch = null;
+                call('onPinchEnd');
+            }
+        }
+
+        element.addEventListener('pointerdown', onPointerDown);
+        window.addEventListener('pointermove', onPointerMove);
+        window.addEventListener('pointerup', onPointerUp);
+        window.addEventListener('pointercancel', onPointerUp);
+
+        return {
+            get pinching() { return pinch !== null; },
+            destroy() {
+                dropCandidate();
+                clearTimeout(tapTimer);
+                element.removeEventListener('pointerdown', onPointerDown);
+                window.removeEventListener('pointermove', onPointerMove);
+                window.removeEventListener('pointerup', onPointerUp);
+                window.removeEventListener('pointercancel', onPointerUp);
+            }
+        };
+    }
+
+    return { create };
+})();